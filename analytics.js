@@ -0,0 +1,155 @@
+const { searchLogsCol, clicksCol } = require("./db");
+
+/**
+ * Search analytics.
+ *
+ * searchLogs: { _id (the searchId), dataset, query, normalizedQuery, params, offset, limit, total,
+ *               results: string[] (urls in rank order), latencyMs, at }
+ *             federated searches have dataset null and the searched names in `datasets`
+ * clicks:     { searchId, dataset, url, position (1-based, across pages), at }
+ */
+
+// Parameters worth keeping with a search (q is stored separately).
+const LOGGED_PARAMS = [
+  "phrase", "boost", "limit", "offset", "weights", "scorer", "k1", "b", "lambda", "collapse",
+  "autocorrect", "datasets", "normalize", "path", "minWords", "maxWords", "fetchedAfter", "fetchedBefore",
+  "minDepth", "maxDepth", "blend", "prWeight", "linkSignal", "teleportPath", "teleportSeeds",
+];
+
+function normalizeQuery(q) {
+  return String(q || "").trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+async function ensureAnalyticsIndexes() {
+  await searchLogsCol().createIndex({ dataset: 1, at: -1 });
+  await searchLogsCol().createIndex({ dataset: 1, normalizedQuery: 1 });
+  await clicksCol().createIndex({ dataset: 1, at: -1 });
+  await clicksCol().createIndex({ searchId: 1 });
+}
+
+/**
+ * Store one served search under `id` (handed to the client as searchId; click links carry it as `sid`).
+ */
+async function logSearch({ id, dataset, datasets, query, params, offset, limit, total, results, latencyMs }) {
+  const kept = {};
+  for (const k of LOGGED_PARAMS) if (typeof params[k] === "string") kept[k] = params[k];
+
+  await searchLogsCol().insertOne({
+    _id: id,
+    dataset,
+    ...(datasets ? { datasets } : {}),
+    query,
+    normalizedQuery: normalizeQuery(query),
+    params: kept,
+    offset,
+    limit,
+    total,
+    results,
+    latencyMs,
+    at: new Date(),
+  });
+}
+
+async function findSearch(searchId) {
+  return searchLogsCol().findOne({ _id: searchId }, { projection: { dataset: 1, datasets: 1, results: 1, offset: 1 } });
+}
+
+async function recordClick({ searchId, dataset, url, position }) {
+  await clicksCol().insertOne({ searchId, dataset, url, position, at: new Date() });
+}
+
+// Optional ?dataset= and ?since= (ISO date) shared by the report endpoints.
+function reportMatch({ dataset, since }) {
+  const match = {};
+  if (dataset) match.dataset = dataset;
+  if (since) match.at = { $gte: since };
+  return match;
+}
+
+/**
+ * Most frequent queries (first result pages only, so paging does not count twice).
+ */
+async function topQueries(filter, limit) {
+  return searchLogsCol()
+    .aggregate([
+      { $match: { ...reportMatch(filter), offset: 0, normalizedQuery: { $ne: "" } } },
+      {
+        $group: {
+          _id: { dataset: "$dataset", query: "$normalizedQuery" },
+          searches: { $sum: 1 },
+          avgTotal: { $avg: "$total" },
+          avgLatencyMs: { $avg: "$latencyMs" },
+          lastAt: { $max: "$at" },
+        },
+      },
+      { $sort: { searches: -1, "_id.query": 1 } },
+      { $limit: limit },
+      {
+        $project: {
+          _id: 0, dataset: "$_id.dataset", query: "$_id.query", searches: 1, avgTotal: 1, avgLatencyMs: 1, lastAt: 1,
+        },
+      },
+    ])
+    .toArray();
+}
+
+async function zeroResultQueries(filter, limit) {
+  return searchLogsCol()
+    .aggregate([
+      { $match: { ...reportMatch(filter), offset: 0, total: 0, normalizedQuery: { $ne: "" } } },
+      {
+        $group: {
+          _id: { dataset: "$dataset", query: "$normalizedQuery" },
+          searches: { $sum: 1 },
+          lastAt: { $max: "$at" },
+        },
+      },
+      { $sort: { searches: -1, "_id.query": 1 } },
+      { $limit: limit },
+      { $project: { _id: 0, dataset: "$_id.dataset", query: "$_id.query", searches: 1, lastAt: 1 } },
+    ])
+    .toArray();
+}
+
+/**
+ * Click-through rate by result position: impressions are result slots shown,
+ * clicks are clicks recorded for that position.
+ */
+async function ctrByPosition(filter, maxPosition) {
+  const match = reportMatch(filter);
+
+  const impressions = await searchLogsCol()
+    .aggregate([
+      { $match: match },
+      { $unwind: { path: "$results", includeArrayIndex: "i" } },
+      { $project: { position: { $add: ["$offset", "$i", 1] } } },
+      { $match: { position: { $lte: maxPosition } } },
+      { $group: { _id: "$position", impressions: { $sum: 1 } } },
+    ])
+    .toArray();
+
+  const clicks = await clicksCol()
+    .aggregate([
+      { $match: { ...match, position: { $lte: maxPosition } } },
+      { $group: { _id: "$position", clicks: { $sum: 1 } } },
+    ])
+    .toArray();
+
+  const clicksAt = new Map(clicks.map((c) => [c._id, c.clicks]));
+  return impressions
+    .map((row) => {
+      const c = clicksAt.get(row._id) || 0;
+      return { position: row._id, impressions: row.impressions, clicks: c, ctr: c / row.impressions };
+    })
+    .sort((a, b) => a.position - b.position);
+}
+
+module.exports = {
+  ensureAnalyticsIndexes,
+  logSearch,
+  findSearch,
+  recordClick,
+  topQueries,
+  zeroResultQueries,
+  ctrByPosition,
+};
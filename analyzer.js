@@ -0,0 +1,208 @@
+/**
+ * Text analyzer shared by the crawler (indexing) and the search handler (queries),
+ * so both sides turn text into the same terms.
+ *
+ * config: { stopWords: boolean, stem: boolean, foldDiacritics: boolean }
+ * Per-dataset; stored on the dataset definition as `analyzer`.
+ */
+
+const DEFAULT_ANALYZER = { stopWords: false, stem: false, foldDiacritics: true };
+
+// Bump when tokenization itself changes so stored term frequencies get flagged.
+const ANALYZER_VERSION = 1;
+
+const STOP_WORDS = new Set(`
+a about above after again against all am an and any are as at be because been before being
+below between both but by can could did do does doing down during each few for from further
+had has have having he her here hers herself him himself his how i if in into is it its itself
+just me more most my myself no nor not now of off on once only or other our ours ourselves out
+over own same she should so some such than that the their theirs them themselves then there
+these they this those through to too under until up very was we were what when where which
+while who whom why will with would you your yours yourself yourselves
+`.split(/\s+/).filter(Boolean));
+
+function normalizeAnalyzerConfig(config) {
+  const c = config || {};
+  return {
+    stopWords: typeof c.stopWords === "boolean" ? c.stopWords : DEFAULT_ANALYZER.stopWords,
+    stem: typeof c.stem === "boolean" ? c.stem : DEFAULT_ANALYZER.stem,
+    foldDiacritics: typeof c.foldDiacritics === "boolean" ? c.foldDiacritics : DEFAULT_ANALYZER.foldDiacritics,
+  };
+}
+
+/**
+ * Identifies the analyzer that produced a page's terms; pages whose key differs
+ * from their dataset's current one need reindexing.
+ */
+function analyzerKey(config) {
+  const c = normalizeAnalyzerConfig(config);
+  return `v${ANALYZER_VERSION}:stop=${+c.stopWords},stem=${+c.stem},fold=${+c.foldDiacritics}`;
+}
+
+/**
+ * Unicode-aware split into lowercase word tokens (letters, digits, and marks
+ * within words). Apostrophes inside words are dropped ("don't" -> "dont").
+ */
+function tokenize(text, { foldDiacritics = DEFAULT_ANALYZER.foldDiacritics } = {}) {
+  let s = String(text || "").normalize("NFKC").toLowerCase();
+  if (foldDiacritics) s = s.normalize("NFD").replace(/\p{M}+/gu, "");
+  s = s.replace(/(\p{L})['’](\p{L})/gu, "$1$2");
+  return s.match(/[\p{L}\p{N}][\p{L}\p{M}\p{N}]*/gu) || [];
+}
+
+// Words as they appear in raw text, apostrophes kept so "don't" analyzes as one term.
+// Used to map terms back onto the original text (snippets, spelling suggestions).
+const RAW_WORD_RE = /[\p{L}\p{N}][\p{L}\p{M}\p{N}]*(?:['’][\p{L}\p{M}\p{N}]+)*/gu;
+
+// -------------------- Porter stemmer --------------------
+// M. F. Porter, "An algorithm for suffix stripping", 1980. Only applied to a-z words.
+
+function isConsonant(w, i) {
+  const ch = w[i];
+  if ("aeiou".includes(ch)) return false;
+  if (ch === "y") return i === 0 ? true : !isConsonant(w, i - 1);
+  return true;
+}
+
+// m() in the paper: number of VC sequences in w
+function measure(w) {
+  let n = 0;
+  let i = 0;
+  const len = w.length;
+  while (i < len && isConsonant(w, i)) i++;
+  while (i < len) {
+    while (i < len && !isConsonant(w, i)) i++;
+    if (i >= len) break;
+    while (i < len && isConsonant(w, i)) i++;
+    n++;
+  }
+  return n;
+}
+
+function hasVowel(w) {
+  for (let i = 0; i < w.length; i++) if (!isConsonant(w, i)) return true;
+  return false;
+}
+
+function endsDoubleConsonant(w) {
+  const n = w.length;
+  return n >= 2 && w[n - 1] === w[n - 2] && isConsonant(w, n - 1);
+}
+
+// *o: stem ends cvc, where the last c is not w, x or y
+function endsCvc(w) {
+  const n = w.length;
+  if (n < 3) return false;
+  return (
+    isConsonant(w, n - 3) &&
+    !isConsonant(w, n - 2) &&
+    isConsonant(w, n - 1) &&
+    !"wxy".includes(w[n - 1])
+  );
+}
+
+// Replace the first matching suffix whose stem satisfies m(stem) > minM.
+function replaceSuffix(w, rules, minM) {
+  for (const [suffix, repl] of rules) {
+    if (w.endsWith(suffix)) {
+      const stem = w.slice(0, -suffix.length);
+      return measure(stem) > minM ? stem + repl : w;
+    }
+  }
+  return w;
+}
+
+const STEP2 = [
+  ["ational", "ate"], ["tional", "tion"], ["enci", "ence"], ["anci", "ance"], ["izer", "ize"],
+  ["bli", "ble"], ["alli", "al"], ["entli", "ent"], ["eli", "e"], ["ousli", "ous"],
+  ["ization", "ize"], ["ation", "ate"], ["ator", "ate"], ["alism", "al"], ["iveness", "ive"],
+  ["fulness", "ful"], ["ousness", "ous"], ["aliti", "al"], ["iviti", "ive"], ["biliti", "ble"],
+  ["logi", "log"],
+];
+
+const STEP3 = [
+  ["icate", "ic"], ["ative", ""], ["alize", "al"], ["iciti", "ic"], ["ical", "ic"], ["ful", ""], ["ness", ""],
+];
+
+const STEP4 = [
+  "al", "ance", "ence", "er", "ic", "able", "ible", "ant", "ement", "ment", "ent",
+  "ion", "ou", "ism", "ate", "iti", "ous", "ive", "ize",
+];
+
+function stem(word) {
+  let w = word;
+  if (w.length <= 2 || !/^[a-z]+$/.test(w)) return w;
+
+  // Step 1a
+  if (w.endsWith("sses")) w = w.slice(0, -2);
+  else if (w.endsWith("ies")) w = w.slice(0, -2);
+  else if (w.endsWith("ss")) {
+    // unchanged
+  } else if (w.endsWith("s")) w = w.slice(0, -1);
+
+  // Step 1b
+  let step1bExtra = false;
+  if (w.endsWith("eed")) {
+    if (measure(w.slice(0, -3)) > 0) w = w.slice(0, -1);
+  } else if (w.endsWith("ed") && hasVowel(w.slice(0, -2))) {
+    w = w.slice(0, -2);
+    step1bExtra = true;
+  } else if (w.endsWith("ing") && hasVowel(w.slice(0, -3))) {
+    w = w.slice(0, -3);
+    step1bExtra = true;
+  }
+  if (step1bExtra) {
+    if (w.endsWith("at") || w.endsWith("bl") || w.endsWith("iz")) w += "e";
+    else if (endsDoubleConsonant(w) && !"lsz".includes(w[w.length - 1])) w = w.slice(0, -1);
+    else if (measure(w) === 1 && endsCvc(w)) w += "e";
+  }
+
+  // Step 1c
+  if (w.endsWith("y") && hasVowel(w.slice(0, -1))) w = w.slice(0, -1) + "i";
+
+  // Steps 2-3
+  w = replaceSuffix(w, STEP2, 0);
+  w = replaceSuffix(w, STEP3, 0);
+
+  // Step 4
+  for (const suffix of STEP4) {
+    if (!w.endsWith(suffix)) continue;
+    const s = w.slice(0, -suffix.length);
+    if (measure(s) > 1 && (suffix !== "ion" || /[st]$/.test(s))) w = s;
+    break;
+  }
+
+  // Step 5a
+  if (w.endsWith("e")) {
+    const s = w.slice(0, -1);
+    const m = measure(s);
+    if (m > 1 || (m === 1 && !endsCvc(s))) w = s;
+  }
+
+  // Step 5b
+  if (measure(w) > 1 && endsDoubleConsonant(w) && w.endsWith("l")) w = w.slice(0, -1);
+
+  return w;
+}
+
+/**
+ * Text -> index terms under a dataset's analyzer config.
+ */
+function analyze(text, config) {
+  const c = normalizeAnalyzerConfig(config);
+  let tokens = tokenize(text, c);
+  if (c.stopWords) tokens = tokens.filter((t) => !STOP_WORDS.has(t));
+  if (c.stem) tokens = tokens.map(stem);
+  return tokens;
+}
+
+module.exports = {
+  DEFAULT_ANALYZER,
+  STOP_WORDS,
+  RAW_WORD_RE,
+  normalizeAnalyzerConfig,
+  analyzerKey,
+  tokenize,
+  stem,
+  analyze,
+};
@@ -0,0 +1,93 @@
+/**
+ * How PageRank is mixed into text relevance when a search is boosted.
+ *
+ *   multiply  base * (1 + pr)                           (the original boost; pr is ~1/N, so mild)
+ *   linear    (1 - w) * base / maxBase + w * pr / maxPr  both sides scaled to [0, 1]
+ *   log       base * (1 + w * ln(1 + N*pr) / ln(1 + N*maxPr))
+ *   rrf       1 / (k + textRank) + w / (k + prRank)       reciprocal rank fusion, k = 60
+ *
+ * ?boost=true alone means multiply; ?blend= picks a strategy (and turns boosting on),
+ * ?prWeight= sets w.
+ */
+
+const RRF_K = 60;
+
+const BLENDS = {
+  multiply: { weight: null },
+  linear: { weight: { default: 0.3, min: 0, max: 1 } },
+  log: { weight: { default: 1, min: 0, max: 10 } },
+  rrf: { weight: { default: 1, min: 0, max: 10 } },
+};
+
+/**
+ * Read ?boost, ?blend and ?prWeight. Returns null (no boosting), { name, weight } or { error }.
+ */
+function parseBlend(query, boost) {
+  const raw = typeof query.blend === "string" ? query.blend.trim().toLowerCase() : "";
+  if (!raw && !boost) return null;
+
+  const name = raw || "multiply";
+  const spec = Object.hasOwn(BLENDS, name) ? BLENDS[name] : null;
+  if (!spec) return { error: `Unknown blend '${name}'. Use one of: ${Object.keys(BLENDS).join(", ")}.` };
+  if (!spec.weight) return { name, weight: null };
+
+  const w = query.prWeight;
+  if (w === undefined || w === "") return { name, weight: spec.weight.default };
+  const n = Number(w);
+  if (typeof w !== "string" || !Number.isFinite(n) || n < spec.weight.min || n > spec.weight.max) {
+    return { error: `Parameter 'prWeight' for blend '${name}' must be a number in [${spec.weight.min}, ${spec.weight.max}].` };
+  }
+  return { name, weight: n };
+}
+
+/**
+ * Rewrite `scored` ({ d, score } with the text score) in place to blended scores.
+ * prOf(d) is the page's PageRank; prStats = { maxPr, N, rankOf(d) } with rankOf 1-based by PageRank.
+ */
+function applyBlend(blend, scored, prOf, prStats) {
+  const { maxPr, N, rankOf } = prStats;
+
+  switch (blend.name) {
+    case "multiply":
+      for (const it of scored) it.score *= 1 + prOf(it.d);
+      break;
+
+    case "linear": {
+      const maxBase = scored.reduce((m, it) => Math.max(m, it.score), 0);
+      const w = blend.weight;
+      for (const it of scored) {
+        const text = maxBase > 0 ? it.score / maxBase : 0;
+        const pr = maxPr > 0 ? prOf(it.d) / maxPr : 0;
+        it.score = (1 - w) * text + w * pr;
+      }
+      break;
+    }
+
+    case "log": {
+      const top = Math.log(1 + N * maxPr);
+      for (const it of scored) {
+        const pr = top > 0 ? Math.log(1 + N * prOf(it.d)) / top : 0;
+        it.score *= 1 + blend.weight * pr;
+      }
+      break;
+    }
+
+    case "rrf": {
+      // equal text scores share a rank, so the fusion does not depend on tie order
+      const byText = [...scored].sort((a, b) => b.score - a.score);
+      const textRank = new Map();
+      byText.forEach((it, i) => {
+        textRank.set(it, i > 0 && it.score === byText[i - 1].score ? textRank.get(byText[i - 1]) : i + 1);
+      });
+      for (const it of scored) {
+        it.score = 1 / (RRF_K + textRank.get(it)) + blend.weight / (RRF_K + rankOf(it.d));
+      }
+      break;
+    }
+
+    default:
+      break;
+  }
+}
+
+module.exports = { BLENDS, parseBlend, applyBlend };
@@ -0,0 +1,131 @@
+const { analyze, normalizeAnalyzerConfig, tokenize } = require("./analyzer");
+
+/**
+ * Prefix completions for the search box.
+ *
+ * Sources: the dataset's words (ranked by document frequency), page titles as
+ * phrases (ranked by how many pages share the title), and past queries (ranked
+ * by how often they were searched). Words are offered as written, never as stems. Terms and titles sit in sorted arrays, so a prefix
+ * is two binary searches plus a walk over the matching range.
+ *
+ * score = ln(1 + df) + POPULARITY_WEIGHT * ln(1 + times searched)
+ */
+
+const POPULARITY_WEIGHT = 2;
+const MAX_TITLE_WORDS = 12;
+
+function lowerBound(sorted, key) {
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (sorted[mid].text < key) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// Entries of a sorted array whose text starts with `prefix`.
+function* withPrefix(sorted, prefix) {
+  for (let i = lowerBound(sorted, prefix); i < sorted.length && sorted[i].text.startsWith(prefix); i++) {
+    yield sorted[i];
+  }
+}
+
+function byText(a, b) {
+  return a.text < b.text ? -1 : a.text > b.text ? 1 : 0;
+}
+
+/**
+ * Words of titles, descriptions and headings, each with the document frequency of
+ * the term it is indexed as ("apples" counts every page with "appl").
+ */
+function surfaceWords(docFreq, pages, analyzer) {
+  const words = new Map();
+  const seen = new Set();
+  for (const p of pages) {
+    const text = [p.title, p.description, ...(p.headings || [])].filter(Boolean).join(" ");
+    for (const w of tokenize(text, analyzer)) {
+      if (seen.has(w)) continue;
+      seen.add(w);
+      const [term] = analyze(w, analyzer);
+      const df = term === undefined ? 0 : docFreq.get(term) || 0;
+      if (df) words.set(w, df);
+    }
+  }
+  return words;
+}
+
+/**
+ * docFreq: Map<index term, df>; pages: [{ title, description, headings }].
+ * Completion text is lowercased, diacritics folded the way the dataset's analyzer
+ * folds them. Without stemming the index terms are the words themselves; with it
+ * they are stems, so words come from the pages' short text fields instead.
+ */
+function buildCompletionIndex(docFreq, pages, analyzer) {
+  const config = normalizeAnalyzerConfig(analyzer);
+  const vocabulary = config.stem ? surfaceWords(docFreq, pages, config) : docFreq;
+  const terms = [...vocabulary].map(([text, df]) => ({ text, df })).sort(byText);
+
+  const titleDf = new Map();
+  for (const { title } of pages) {
+    const words = tokenize(title || "", config);
+    if (words.length < 2 || words.length > MAX_TITLE_WORDS) continue;
+    const text = words.join(" ");
+    titleDf.set(text, (titleDf.get(text) || 0) + 1);
+  }
+  const phrases = [...titleDf].map(([text, df]) => ({ text, df })).sort(byText);
+
+  return { terms, phrases, analyzer };
+}
+
+/**
+ * Normalize typed text the same way completions are stored. A trailing space
+ * means the last word is finished, so only phrases and queries can extend it.
+ */
+function normalizePrefix(prefix, analyzer) {
+  const words = tokenize(prefix, analyzer || {});
+  const open = words.length > 0 && !/\s$/.test(prefix);
+  return { text: words.join(" ") + (open || !words.length ? "" : " "), words, open };
+}
+
+// Key under which a searched query counts toward popularity.
+function queryKey(text, analyzer) {
+  return tokenize(text, analyzer || {}).join(" ");
+}
+
+/**
+ * Up to `limit` completions: [{ text, source: "term"|"phrase"|"query", df, searches, score }].
+ * popularity: Map<normalized query, times searched> (may be empty).
+ */
+function complete(index, prefix, { popularity = new Map(), limit = 10 } = {}) {
+  const { text, words, open } = normalizePrefix(prefix, index.analyzer);
+  if (!text) return [];
+
+  const found = new Map();
+  const add = (completion, source, df, searches) => {
+    const cur = found.get(completion) || { text: completion, source, df: 0, searches: 0 };
+    cur.df = Math.max(cur.df, df);
+    cur.searches += searches;
+    found.set(completion, cur);
+  };
+
+  // last word completed from the vocabulary, earlier words kept as typed
+  if (open) {
+    const head = words.slice(0, -1).join(" ");
+    for (const t of withPrefix(index.terms, words[words.length - 1])) {
+      add(head ? `${head} ${t.text}` : t.text, "term", t.df, 0);
+    }
+  }
+  for (const p of withPrefix(index.phrases, text)) add(p.text, "phrase", p.df, 0);
+  for (const [q, n] of popularity) if (q.startsWith(text)) add(q, "query", 0, n);
+
+  const scored = [...found.values()].map((c) => ({
+    ...c,
+    score: Math.log(1 + c.df) + POPULARITY_WEIGHT * Math.log(1 + c.searches),
+  }));
+  scored.sort((a, b) => b.score - a.score || a.text.length - b.text.length || byText(a, b));
+  return scored.slice(0, limit);
+}
+
+module.exports = { buildCompletionIndex, queryKey, complete };
@@ -3,16 +3,21 @@ require("dotenv").config();
 const crawlerPkg = require("crawler");
 const Crawler = crawlerPkg.default ?? crawlerPkg; // handles default-export packages
 const { URL } = require("url");
-const { connectDB, pagesCol, linksCol } = require("./db");
-
-const DATASETS = {
-  tinyfruits: "https://people.scs.carleton.ca/~avamckenney/tinyfruits/N-0.html",
-  fruits100: "https://people.scs.carleton.ca/~avamckenney/fruits100/N-0.html",
-  fruitsA: "https://people.scs.carleton.ca/~avamckenney/fruitsA/N-0.html",
-
-  // Seed can stay at our-people, but we allow the crawl to expand under /scs/*
-  personal: "https://carleton.ca/scs/our-people",
-};
+const crypto = require("crypto");
+const { connectDB, pagesCol, linksCol, frontierCol } = require("./db");
+const { createRobotsCache } = require("./robots");
+const { ensureDefaultDatasets, getDataset, listDatasets, markReindexed } = require("./datasets");
+const { simhash, clusterDataset } = require("./duplicates");
+const { analyze, analyzerKey, tokenize } = require("./analyzer");
+const { termPositions } = require("./positions");
+const { parseFeed, feedLinksFromCheerio, fetchText, collectSitemapEntries } = require("./sitemaps");
+
+// helps avoid some WP/CDN treating crawler as broken
+const USER_AGENT = "Mozilla/5.0 (compatible; COMP4601Bot/1.0; +https://carleton.ca/)";
+// token matched against robots.txt User-agent lines
+const ROBOTS_AGENT = "COMP4601Bot";
+// politeness floor between two requests to the same host when robots.txt has no Crawl-delay
+const MIN_HOST_DELAY_MS = 100;
 
 function normalizeUrl(u) {
   const url = new URL(u);
@@ -23,68 +28,37 @@ function normalizeUrl(u) {
   return s;
 }
 
-function siteRootFromSeed(dataset, seed) {
-  const u = new URL(seed);
-
-  if (dataset !== "personal") {
-    // Restrict to AVA datasets
-    return `${u.origin}/~avamckenney/`;
-  }
-
-  // allow the crawl to expand to the entire SCS section
-  return `${u.origin}/scs`;
+// Exact URL or anything below it; a trailing "/" on the prefix is optional.
+// Only the path counts, so "/scs?query" is under "/scs".
+function underPrefix(urlStr, prefix) {
+  const p = prefix.endsWith("/") ? prefix.slice(0, -1) : prefix;
+  const path = urlStr.split(/[?#]/)[0];
+  return urlStr === p || path === p || path.startsWith(p + "/");
 }
 
-function isAllowedUrl(dataset, urlStr, root) {
-  if (!urlStr.startsWith(root)) return false;
+/**
+ * Whether a normalized URL is in scope for a dataset definition (see datasets.js).
+ */
+function isAllowedUrl(def, urlStr) {
+  try {
+    const u = new URL(urlStr);
 
-  if (dataset === "personal") {
-    try {
-      const u = new URL(urlStr);
+    if (def.include.length && !def.include.some((p) => underPrefix(urlStr, normalizeUrl(p)))) return false;
 
-      // Must remain under /scs or /scs/...
-      if (!(u.pathname === "/scs" || u.pathname.startsWith("/scs/"))) return false;
+    const lower = urlStr.toLowerCase();
+    if (def.exclude.some((p) => underPrefix(lower, normalizeUrl(p).toLowerCase()))) return false;
 
-      // Allow query params EXCEPT common tracking params (needed for WP pagination on some pages)
-      const badParams = ["utm_source", "utm_medium", "utm_campaign", "utm_term", "utm_content", "fbclid", "gclid"];
-      for (const p of badParams) {
-        if (u.searchParams.has(p)) return false;
-      }
-
-      const path = u.pathname.toLowerCase();
-
-      // Block WordPress/admin/API endpoints (these cause redirects/403/bloat)
-      // IMPORTANT: no trailing slashes; normalize checks below.
-      const blockedExactOrPrefix = [
-        "/scs/technical-support",
-        "/scs/tech-support",
-        "/scs/wp-login.php",
-        "/scs/wp-admin",
-        "/scs/wp-json",
-        "/scs/xmlrpc.php",
-      ];
-      if (blockedExactOrPrefix.some((p) => path === p || path.startsWith(p + "/"))) {
-        return false;
-      }
+    for (const p of def.blockedParams) {
+      if (u.searchParams.has(p)) return false;
+    }
 
-      // Avoid non-HTML resources
-      const blockedExt = [
-        ".zip", ".rar", ".7z", ".tar", ".gz",
-        ".png", ".jpg", ".jpeg", ".gif", ".webp", ".svg",
-        ".mp4", ".mov", ".avi",
-        ".mp3", ".wav",
-        ".css", ".js",
-        ".json", ".xml", ".pdf",
-      ];
-      if (blockedExt.some((ext) => path.endsWith(ext))) return false;
+    const path = u.pathname.toLowerCase();
+    if (def.blockedExtensions.some((ext) => path.endsWith(ext.toLowerCase()))) return false;
 
-      return true;
-    } catch {
-      return false;
-    }
+    return true;
+  } catch {
+    return false;
   }
-
-  return true;
 }
 
 function extractLinksFromCheerio($, baseUrl) {
@@ -102,7 +76,7 @@ function extractLinksFromCheerio($, baseUrl) {
 }
 
 // Words come ONLY from <p> paragraphs, excluding link text.
-function extractParagraphIndexFromCheerio($) {
+function extractParagraphIndexFromCheerio($, analyzer) {
   const paragraphText = $("p")
     .map((_, p) => {
       const clean = $(p).clone();
@@ -112,65 +86,459 @@ function extractParagraphIndexFromCheerio($) {
     .get()
     .join(" ");
 
-  const tokens = paragraphText
-    .toLowerCase()
-    .replace(/[^a-z\s]/g, " ")
-    .split(/\s+/)
-    .filter(Boolean);
+  const tokens = analyze(paragraphText, analyzer);
+  return {
+    paragraphText,
+    termFreq: countTerms(tokens),
+    termPositions: termPositions(tokens),
+    wordCount: tokens.length,
+  };
+}
 
-  const termFreq = {};
+function countTerms(tokens) {
+  const termFreq = Object.create(null);
   for (const t of tokens) termFreq[t] = (termFreq[t] || 0) + 1;
+  return termFreq;
+}
+
+/**
+ * Title, meta description, h1-h3 and image alt text, each indexed on its own
+ * so search can weight them separately from paragraph text.
+ * fieldTermFreq: { title, description, headings, alt } -> term counts
+ */
+function extractFieldsFromCheerio($, analyzer) {
+  const text = (el) => $(el).text().replace(/\s+/g, " ").trim();
+
+  const title = text($("title").first());
+  const description = (
+    $('meta[name="description"]').attr("content") ||
+    $('meta[property="og:description"]').attr("content") ||
+    ""
+  ).trim();
+  const headings = $("h1, h2, h3").map((_, h) => text(h)).get().filter(Boolean);
+  const altText = $("img[alt]").map((_, img) => ($(img).attr("alt") || "").trim()).get().filter(Boolean);
+
+  return {
+    title,
+    description,
+    headings,
+    altText,
+    fieldTermFreq: fieldTermFreqFromText({ title, description, headings, altText }, analyzer),
+  };
+}
+
+function fieldTermFreqFromText({ title, description, headings, altText }, analyzer) {
+  return {
+    title: countTerms(analyze(title, analyzer)),
+    description: countTerms(analyze(description, analyzer)),
+    headings: countTerms(analyze((headings || []).join(" "), analyzer)),
+    alt: countTerms(analyze((altText || []).join(" "), analyzer)),
+  };
+}
+
+/**
+ * Recompute term frequencies for every stored page of a dataset from the text
+ * kept at crawl time, under the dataset's current analyzer. No refetching.
+ * Returns the number of pages rewritten.
+ */
+async function reindexDataset(dataset) {
+  await connectDB();
+  const def = await getDataset(dataset);
+  if (!def) throw new Error(`Unknown dataset: ${dataset}`);
+
+  const key = analyzerKey(def.analyzer);
+  const cursor = pagesCol().find(
+    { dataset, status: 200 },
+    { projection: { paragraphText: 1, title: 1, description: 1, headings: 1, altText: 1 } }
+  );
+
+  let ops = [];
+  let count = 0;
+  const flush = async () => {
+    if (ops.length) await pagesCol().bulkWrite(ops, { ordered: false });
+    count += ops.length;
+    ops = [];
+  };
+
+  for await (const p of cursor) {
+    const tokens = analyze(p.paragraphText || "", def.analyzer);
+    ops.push({
+      updateOne: {
+        filter: { _id: p._id },
+        update: {
+          $set: {
+            termFreq: countTerms(tokens),
+            termPositions: termPositions(tokens),
+            wordCount: tokens.length,
+            fieldTermFreq: fieldTermFreqFromText(p, def.analyzer),
+            analyzer: key,
+          },
+          $unset: { needsReindex: "" },
+        },
+      },
+    });
+    if (ops.length >= 500) await flush();
+  }
+  await flush();
+
+  await pagesCol().updateMany({ dataset, status: { $ne: 200 } }, { $unset: { needsReindex: "" } });
+  await markReindexed(dataset, def.analyzer);
+  console.log(`Reindexed ${count} pages of ${dataset} with analyzer ${key}`);
+  return count;
+}
+
+// <link rel="canonical">, normalized; null when absent or unparsable
+function canonicalFromCheerio($, baseUrl) {
+  const href = $('link[rel="canonical"]').attr("href");
+  if (!href) return null;
+  try {
+    return normalizeUrl(new URL(href, baseUrl).toString());
+  } catch {
+    return null;
+  }
+}
 
-  return { paragraphText, termFreq, wordCount: tokens.length };
+function enqueue(c, url, headers = null) {
+  const extra = headers ? { headers: { "User-Agent": USER_AGENT, ...headers } } : {};
+  if (typeof c.add === "function") return c.add({ url, ...extra });
+  return c.queue({ uri: url, ...extra });
 }
 
-function enqueue(c, url) {
-  if (typeof c.add === "function") return c.add({ url });
-  return c.queue({ uri: url });
+function contentHash(body) {
+  return crypto.createHash("sha256").update(body).digest("hex");
+}
+
+// If-None-Match / If-Modified-Since from what we stored on the last successful fetch.
+async function conditionalHeaders(dataset, url) {
+  const prev = await pagesCol().findOne(
+    { dataset, url, status: 200 },
+    { projection: { etag: 1, lastModified: 1, _id: 0 } }
+  );
+  if (!prev) return null;
+
+  const headers = {};
+  if (prev.etag) headers["If-None-Match"] = prev.etag;
+  if (prev.lastModified) headers["If-Modified-Since"] = prev.lastModified;
+  return Object.keys(headers).length ? headers : null;
+}
+
+/**
+ * Per-host rate limiter: each call reserves the next free slot for the URL's host
+ * and resolves once that slot arrives.
+ */
+function createHostLimiter(minDelayMs) {
+  const nextAt = new Map();
+  return (urlStr, delayMs = 0) => {
+    const host = new URL(urlStr).host;
+    const now = Date.now();
+    const at = Math.max(now, nextAt.get(host) || 0);
+    nextAt.set(host, at + Math.max(minDelayMs, delayMs));
+    return new Promise((resolve) => setTimeout(resolve, at - now));
+  };
+}
+
+// Record a URL we did not (or could not) fetch so it is visible in `pages`.
+async function markUnfetched(dataset, url, extra) {
+  await pagesCol().updateOne(
+    { dataset, url },
+    {
+      $set: {
+        dataset,
+        url,
+        status: 0,
+        html: null,
+        outLinks: [],
+        paragraphText: "",
+        termFreq: {},
+        termPositions: {},
+        wordCount: 0,
+        fetchedAt: new Date(),
+        ...extra,
+      },
+    },
+    { upsert: true }
+  );
 }
 
 async function ensureIndexes() {
   await pagesCol().createIndex({ dataset: 1, url: 1 }, { unique: true });
   await linksCol().createIndex({ dataset: 1, from: 1, to: 1 }, { unique: true });
+  await frontierCol().createIndex({ dataset: 1, url: 1 }, { unique: true });
+  await frontierCol().createIndex({ dataset: 1, state: 1 });
 }
 
-async function crawlDataset(dataset) {
-  const seed = DATASETS[dataset];
-  if (!seed) throw new Error(`Unknown dataset: ${dataset}`);
+/**
+ * Frontier documents: { dataset, url, state, depth, referrer, reason?, updatedAt }
+ * state: "queued" (discovered, waiting in the crawler) -> "inflight" (request
+ * started) -> "done" | "failed". Anything not done/failed is re-queued on resume.
+ */
+async function setFrontierState(dataset, url, state, extra = {}) {
+  await frontierCol().updateOne(
+    { dataset, url },
+    { $set: { state, updatedAt: new Date(), ...extra } }
+  );
+}
 
+/**
+ * Crawl one dataset into `pages`/`links`.
+ * options.incremental: send conditional GETs and skip rewriting pages whose
+ * body hash is unchanged since the last crawl.
+ * options.resume: continue from the stored frontier instead of starting over;
+ * URLs that finished in the earlier run are not fetched again.
+ * options.sitemaps: also seed from sitemaps (robots.txt or /sitemap.xml) and
+ * from RSS/Atom feeds advertised by crawled pages. Their lastmod is stored on
+ * the page, and with `incremental` a page is skipped when it has not changed
+ * since we last fetched it.
+ * options.signal: AbortSignal; once aborted nothing new is fetched and the
+ * frontier is left resumable.
+ * options.onProgress: called with a stats snapshot as the crawl advances.
+ *
+ * Resolves to the final stats snapshot.
+ */
+async function crawlDataset(
+  dataset,
+  { incremental = false, resume = false, sitemaps = false, signal = null, onProgress = null } = {}
+) {
   await connectDB();
+  await ensureDefaultDatasets();
   await ensureIndexes();
 
-  const siteRoot = siteRootFromSeed(dataset, seed);
+  const def = await getDataset(dataset);
+  if (!def) throw new Error(`Unknown dataset: ${dataset}`);
+
   const seen = new Set();
   const bad = new Set();
+  // url -> { depth, referrer } for everything handed to schedule()
+  const discovered = new Map();
+  const resumeQueue = [];
+  // url -> lastmod from a sitemap or feed entry
+  const lastmods = new Map();
+  const feedsSeen = new Set();
+
+  if (resume) {
+    const entries = await frontierCol()
+      .find({ dataset }, { projection: { url: 1, state: 1, depth: 1, referrer: 1, _id: 0 } })
+      .toArray();
+
+    for (const e of entries) {
+      discovered.set(e.url, { depth: e.depth ?? 0, referrer: e.referrer ?? null });
+      if (e.state === "done") seen.add(e.url);
+      else if (e.state === "failed") bad.add(e.url);
+      else resumeQueue.push(e.url);
+    }
 
-  // For personal you need >= 500 pages; use a larger cap but safe default.
-  const MAX_PAGES = dataset === "personal" ? 4000 : 2500;
+    console.log(
+      `Resuming ${dataset}: ${seen.size} done, ${bad.size} failed, ${resumeQueue.length} to fetch`
+    );
+  } else {
+    await frontierCol().deleteMany({ dataset });
+  }
+
+  const MAX_PAGES = def.maxPages;
+
+  const robots = createRobotsCache({ userAgent: USER_AGENT, robotsAgent: ROBOTS_AGENT });
+  const waitForHost = createHostLimiter(MIN_HOST_DELAY_MS);
+  let robotsBlocked = 0;
+  let unchanged = 0;
+  let errors = 0;
+  let queueSize = 0;
+
+  const snapshot = () => ({
+    dataset,
+    fetched: seen.size,
+    errors,
+    unchanged,
+    robotsBlocked,
+    queueSize,
+    cancelled: Boolean(signal?.aborted),
+  });
 
   await new Promise((resolve, reject) => {
+    // Requests handed to the crawler but not yet through the callback, and
+    // robots.txt checks still deciding whether a URL may be queued at all.
+    let inFlight = 0;
+    let pending = 0;
+
+    const maybeFinish = () => {
+      queueSize = inFlight + pending;
+      if (onProgress) onProgress(snapshot());
+      if (inFlight === 0 && pending === 0) resolve();
+    };
+
+    // Run an async side task (sitemap/feed fetch) that must finish before the crawl does.
+    const track = (promise) => {
+      pending++;
+      promise
+        .catch((e) => console.warn(`[${dataset}] ${e.message}`))
+        .finally(() => {
+          pending--;
+          maybeFinish();
+        });
+    };
+
+    // Sitemap/feed entries enter the frontier at depth 1, with the file they came from as referrer.
+    // A sitemap can list far more pages than maxPages: stop once that many URLs are known.
+    const addEntries = (entries, source) => {
+      for (const { loc, lastmod } of entries) {
+        if (discovered.size >= MAX_PAGES) break;
+        let url;
+        try {
+          url = normalizeUrl(loc);
+        } catch {
+          continue;
+        }
+        if (!isAllowedUrl(def, url)) continue;
+        if (lastmod) lastmods.set(url, lastmod);
+        if (!seen.has(url) && !bad.has(url)) schedule(url, source);
+      }
+    };
+
+    // Sitemaps and feeds wait for the same per-host slots (and Crawl-delay) as pages.
+    const fetchPolitely = async (url) => {
+      const { crawlDelay } = await robots.get(new URL(url).origin);
+      await waitForHost(url, (crawlDelay || 0) * 1000);
+      return fetchText(url, USER_AGENT);
+    };
+
+    const readFeed = (feedUrl) => {
+      if (feedsSeen.has(feedUrl)) return;
+      feedsSeen.add(feedUrl);
+      track(
+        robots.check(feedUrl).then(async ({ allowed }) => {
+          if (!allowed) return;
+          addEntries(parseFeed(await fetchPolitely(feedUrl)), feedUrl);
+        })
+      );
+    };
+
+    const readSitemaps = async () => {
+      const origins = [...new Set(def.seeds.map((s) => new URL(s).origin))];
+      for (const origin of origins) {
+        const { sitemaps: listed } = await robots.get(origin);
+        const roots = listed.length ? listed : [`${origin}/sitemap.xml`];
+        const entries = await collectSitemapEntries(roots, fetchPolitely);
+        console.log(`[${dataset}] ${entries.length} sitemap entries from ${origin}`);
+        addEntries(entries, roots[0]);
+      }
+    };
+
+    // With a sitemap lastmod no newer than our last fetch, skip the request
+    // entirely and walk the stored links instead.
+    const skipIfNotModified = async (url) => {
+      const lastmod = lastmods.get(url);
+      if (!lastmod) return false;
+
+      const prev = await pagesCol().findOne(
+        { dataset, url, status: 200 },
+        { projection: { fetchedAt: 1, outLinks: 1 } }
+      );
+      if (!prev || !(prev.fetchedAt >= lastmod)) return false;
+
+      seen.add(url);
+      unchanged++;
+      await setFrontierState(dataset, url, "done");
+      if (seen.size < MAX_PAGES) {
+        for (const link of prev.outLinks || []) {
+          if (!seen.has(link) && !bad.has(link)) schedule(link, url);
+        }
+      }
+      return true;
+    };
+
+    // Queue a URL discovered from `referrer` (null for the seed). With
+    // `requeue`, a URL restored from the frontier is scheduled again as-is.
+    const schedule = (url, referrer = null, requeue = false) => {
+      if (signal?.aborted) return;
+      if (!requeue) {
+        if (discovered.has(url)) return;
+        const depth = referrer ? (discovered.get(referrer)?.depth ?? 0) + 1 : 0;
+        if (def.maxDepth !== null && depth > def.maxDepth) return;
+        discovered.set(url, { depth, referrer });
+      }
+
+      pending++;
+      robots
+        .check(url)
+        .then(async ({ allowed, reason }) => {
+          const { depth, referrer: from } = discovered.get(url);
+          await frontierCol().updateOne(
+            { dataset, url },
+            {
+              $setOnInsert: { dataset, url, depth, referrer: from },
+              $set: allowed
+                ? { state: "queued", updatedAt: new Date() }
+                : { state: "failed", reason, updatedAt: new Date() },
+            },
+            { upsert: true }
+          );
+
+          if (allowed) {
+            if (incremental && (await skipIfNotModified(url))) return;
+            const headers = incremental ? await conditionalHeaders(dataset, url) : null;
+            inFlight++;
+            enqueue(c, url, headers);
+            return;
+          }
+          if (bad.has(url)) return;
+          bad.add(url);
+          robotsBlocked++;
+          await markUnfetched(dataset, url, { blockedReason: reason });
+        })
+        .catch(reject)
+        .finally(() => {
+          pending--;
+          maybeFinish();
+        });
+    };
+
     const c = new Crawler({
       maxConnections: 10,
       timeout: 20000,
       retries: 1,
       retryInterval: 1000,
 
-      // helps avoid some WP/CDN treating crawler as broken
       headers: {
-        "User-Agent": "Mozilla/5.0 (compatible; COMP4601Bot/1.0; +https://carleton.ca/)",
+        "User-Agent": USER_AGENT,
+      },
+
+      // Honor Crawl-delay (or our politeness floor) per host before each request.
+      preRequest: (options, done) => {
+        if (signal?.aborted) {
+          // fail at once: a retry would hold a connection for retryInterval per queued request
+          options.retries = 0;
+          return done(new Error("Crawl cancelled"));
+        }
+        const target = options.url ?? options.uri;
+        robots
+          .check(target)
+          .then(({ crawlDelay }) => waitForHost(target, (crawlDelay || 0) * 1000))
+          .catch(() => {})
+          .then(() => setFrontierState(dataset, normalizeUrl(target), "inflight"))
+          .catch(() => {})
+          .then(() => done());
       },
 
       callback: async (error, res, done) => {
+        let url = null;
+        // frontier state to record once this response is handled
+        let outcome = null;
         try {
+          // leave the frontier entry as-is so --resume picks it up
+          if (signal?.aborted) return;
+
           const rawUrl = res?.options?.url ?? res?.options?.uri;
           if (!rawUrl) return;
 
-          const url = normalizeUrl(rawUrl);
+          url = normalizeUrl(rawUrl);
 
-          if (!isAllowedUrl(dataset, url, siteRoot)) return;
+          if (!isAllowedUrl(def, url)) {
+            outcome = { state: "failed", reason: "outside dataset scope" };
+            return;
+          }
 
           if (seen.has(url) || bad.has(url)) return;
           seen.add(url);
+          outcome = { state: "done" };
 
           const reachedCap = seen.size >= MAX_PAGES;
 
@@ -180,37 +548,54 @@ async function crawlDataset(dataset) {
           if (status >= 300 && status < 400 && res?.headers?.location) {
             try {
               const redirected = normalizeUrl(new URL(res.headers.location, url).toString());
-              if (isAllowedUrl(dataset, redirected, siteRoot) && !seen.has(redirected) && !bad.has(redirected)) {
-                enqueue(c, redirected);
+              if (isAllowedUrl(def, redirected) && !seen.has(redirected) && !bad.has(redirected)) {
+                schedule(redirected, url);
               }
             } catch {}
           }
 
           if (error) {
             bad.add(url);
-            await pagesCol().updateOne(
-              { dataset, url },
-              {
-                $set: {
-                  dataset,
-                  url,
-                  status: 0,
-                  html: null,
-                  outLinks: [],
-                  paragraphText: "",
-                  termFreq: {},
-                  wordCount: 0,
-                  fetchedAt: new Date(),
-                  error: String(error.message || error),
-                },
-              },
-              { upsert: true }
-            );
+            errors++;
+            outcome = { state: "failed", reason: String(error.message || error) };
+            await markUnfetched(dataset, url, { error: String(error.message || error) });
             return;
           }
 
           if (status === 404 || status === 403 || status === 410) {
             bad.add(url);
+            errors++;
+            outcome = { state: "failed", reason: `HTTP ${status}` };
+            return;
+          }
+
+          const followLinks = (links) => {
+            if (reachedCap) return;
+            for (const link of links) {
+              if (!seen.has(link) && !bad.has(link)) schedule(link, url);
+            }
+          };
+
+          const validators = {
+            etag: res.headers?.etag ?? null,
+            lastModified: res.headers?.["last-modified"] ?? null,
+          };
+          // where this crawl found the page; set on every path, unchanged pages included
+          const placement = {
+            depth: discovered.get(url)?.depth ?? 0,
+            ...(lastmods.has(url) ? { lastmod: lastmods.get(url) } : {}),
+          };
+
+          // Not modified: keep the stored parse, but still walk its links so the
+          // crawl reaches pages below it.
+          if (status === 304) {
+            const prev = await pagesCol().findOneAndUpdate(
+              { dataset, url },
+              { $set: { ...placement, fetchedAt: new Date() } },
+              { projection: { outLinks: 1 }, returnDocument: "after" }
+            );
+            unchanged++;
+            followLinks(prev?.outLinks || []);
             return;
           }
 
@@ -221,18 +606,53 @@ async function crawlDataset(dataset) {
               ? res.body.toString("utf8")
               : String(res.body ?? "");
 
+          const hash = status === 200 ? contentHash(body) : null;
+
+          if (incremental && hash) {
+            const prev = await pagesCol().findOne(
+              { dataset, url, status: 200 },
+              { projection: { contentHash: 1, outLinks: 1, analyzer: 1 } }
+            );
+            // same body, analyzed the same way: nothing to rewrite
+            if (prev && prev.contentHash === hash && prev.analyzer === analyzerKey(def.analyzer)) {
+              await pagesCol().updateOne(
+                { _id: prev._id },
+                { $set: { ...placement, ...validators, fetchedAt: new Date() } }
+              );
+              unchanged++;
+              followLinks(prev.outLinks || []);
+              return;
+            }
+          }
+
           let outLinks = [];
           let paragraphText = "";
           let termFreq = {};
+          let positions = {};
           let wordCount = 0;
+          let fields = {
+            title: "",
+            description: "",
+            headings: [],
+            altText: [],
+            fieldTermFreq: {},
+          };
+          let fingerprint = { simhash: null, canonicalUrl: null };
 
           if (status === 200 && res.$) {
             outLinks = extractLinksFromCheerio(res.$, url).filter((to) =>
-              isAllowedUrl(dataset, to, siteRoot)
+              isAllowedUrl(def, to)
             );
 
-            ({ paragraphText, termFreq, wordCount } =
-              extractParagraphIndexFromCheerio(res.$));
+            ({ paragraphText, termFreq, termPositions: positions, wordCount } =
+              extractParagraphIndexFromCheerio(res.$, def.analyzer));
+            fields = extractFieldsFromCheerio(res.$, def.analyzer);
+            fingerprint = {
+              simhash: simhash(tokenize(paragraphText)),
+              canonicalUrl: canonicalFromCheerio(res.$, url),
+            };
+
+            if (sitemaps) feedLinksFromCheerio(res.$, url).forEach(readFeed);
           } else {
             outLinks = [];
           }
@@ -245,21 +665,39 @@ async function crawlDataset(dataset) {
                 url,
                 status,
                 html: status === 200 ? body : null,
-                outLinks,
+                // an error page says nothing about the page's links; keep the stored ones
+                ...(status === 200 ? { outLinks } : {}),
                 paragraphText,
                 termFreq,
+                termPositions: positions,
                 wordCount,
+                ...placement,
+                ...fields,
+                ...fingerprint,
+                analyzer: analyzerKey(def.analyzer),
+                contentHash: hash,
+                ...validators,
                 fetchedAt: new Date(),
               },
+              $unset: { error: "", blockedReason: "", needsReindex: "" },
             },
             { upsert: true }
           );
 
-          if (outLinks.length) {
-            const edges = outLinks
-              .filter((to) => to !== url)
-              .map((to) => ({ dataset, from: url, to }));
+          if (status !== 200) return;
 
+          const edges = outLinks
+            .filter((to) => to !== url)
+            .map((to) => ({ dataset, from: url, to }));
+
+          // Drop edges this page no longer has; stale edges would skew PageRank.
+          await linksCol().deleteMany({
+            dataset,
+            from: url,
+            to: { $nin: edges.map((e) => e.to) },
+          });
+
+          if (outLinks.length) {
             if (edges.length) {
               await linksCol()
                 .insertMany(edges, { ordered: false })
@@ -269,51 +707,90 @@ async function crawlDataset(dataset) {
             }
 
             // Keep enqueuing until cap reached
-            if (!reachedCap) {
-              for (const link of outLinks) {
-                if (!seen.has(link) && !bad.has(link)) enqueue(c, link);
-              }
-            }
+            followLinks(outLinks);
           }
         } catch (e) {
           reject(e);
         } finally {
+          if (url && outcome) {
+            const { state, ...extra } = outcome;
+            await setFrontierState(dataset, url, state, extra).catch(reject);
+          }
           done();
+          inFlight--;
+          maybeFinish();
         }
       },
     });
 
-    c.on("drain", resolve);
+    c.on("drain", maybeFinish);
     c.on("error", reject);
 
-    enqueue(c, seed);
+    // counted as pending first, so an empty resume queue does not finish the crawl early
+    if (sitemaps) track(readSitemaps());
+
+    if (resume && discovered.size) {
+      for (const url of resumeQueue) schedule(url, null, true);
+      maybeFinish();
+    } else {
+      for (const seed of def.seeds) schedule(normalizeUrl(seed));
+    }
   });
 
-  console.log(`Done crawling dataset: ${dataset}. Pages seen: ${seen.size}`);
-  if (dataset === "personal" && seen.size < 500) {
+  console.log(
+    `${signal?.aborted ? "Cancelled" : "Done"} crawling dataset: ${dataset}. Pages seen: ${seen.size}. ` +
+      `Unchanged: ${unchanged}. Blocked by robots.txt: ${robotsBlocked}`
+  );
+  if (!signal?.aborted) {
+    const { duplicates } = await clusterDataset(dataset);
+    console.log(`[${dataset}] near-duplicate pages folded into clusters: ${duplicates}`);
+  }
+
+  if (def.minPages && seen.size < def.minPages) {
     console.warn(
-      `WARNING: personal dataset only reached ${seen.size} pages (< 500). Consider broadening root to https://carleton.ca/ with a whitelist.`
+      `WARNING: ${dataset} dataset only reached ${seen.size} pages (< ${def.minPages}). Consider broadening its include prefixes.`
     );
   }
+
+  queueSize = 0;
+  return snapshot();
 }
 
 async function main() {
-  const arg = process.argv[2];
+  const args = process.argv.slice(2);
+  const arg = args.find((a) => !a.startsWith("--"));
   if (!arg) {
-    console.log("Usage: node crawler.js <tinyfruits|fruits100|fruitsA|personal|all>");
+    console.log(
+      "Usage: node crawler.js <dataset name|all> [--incremental] [--resume] [--sitemaps] [--reindex]"
+    );
     process.exit(1);
   }
 
+  const options = {
+    incremental: args.includes("--incremental"),
+    resume: args.includes("--resume"),
+    sitemaps: args.includes("--sitemaps"),
+  };
+
+  // --reindex re-analyzes stored text instead of crawling
+  const run = args.includes("--reindex") ? (d) => reindexDataset(d) : (d) => crawlDataset(d, options);
+
   if (arg === "all") {
-    for (const d of Object.keys(DATASETS)) await crawlDataset(d);
+    await connectDB();
+    await ensureDefaultDatasets();
+    for (const d of await listDatasets()) await run(d.name);
   } else {
-    await crawlDataset(arg);
+    await run(arg);
   }
 
   process.exit(0);
 }
 
-main().catch((err) => {
-  console.error(err);
-  process.exit(1);
-});
\ No newline at end of file
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(err);
+    process.exit(1);
+  });
+}
+
+module.exports = { crawlDataset, reindexDataset };
\ No newline at end of file
@@ -0,0 +1,214 @@
+const { datasetsCol } = require("./db");
+const { normalizeAnalyzerConfig } = require("./analyzer");
+
+const NON_HTML_EXTENSIONS = [
+  ".zip", ".rar", ".7z", ".tar", ".gz",
+  ".png", ".jpg", ".jpeg", ".gif", ".webp", ".svg",
+  ".mp4", ".mov", ".avi",
+  ".mp3", ".wav",
+  ".css", ".js",
+  ".json", ".xml", ".pdf",
+];
+
+const TRACKING_PARAMS = ["utm_source", "utm_medium", "utm_campaign", "utm_term", "utm_content", "fbclid", "gclid"];
+
+/**
+ * Dataset definitions: {
+ *   name, seeds: string[],
+ *   include: string[]  URL prefixes a page must fall under (exact URL or prefix + "/"),
+ *   exclude: string[]  URL prefixes that are never crawled, same matching,
+ *   blockedExtensions: string[], blockedParams: string[],
+ *   maxPages: number, maxDepth: number|null, minPages: number|null,
+ *   analyzer: { stopWords, stem, foldDiacritics } (see analyzer.js),
+ *   indexedAnalyzer: the analyzer stored pages were indexed with, only while a reindex to `analyzer` is pending,
+ *   pagerank: { alpha, threshold, maxIters }  teleport probability, L2 convergence threshold, iteration cap
+ * }
+ * Inserted on first start; after that the `datasets` collection is the source of truth.
+ */
+const DEFAULT_DATASETS = [
+  {
+    name: "tinyfruits",
+    seeds: ["https://people.scs.carleton.ca/~avamckenney/tinyfruits/N-0.html"],
+    include: ["https://people.scs.carleton.ca/~avamckenney"],
+  },
+  {
+    name: "fruits100",
+    seeds: ["https://people.scs.carleton.ca/~avamckenney/fruits100/N-0.html"],
+    include: ["https://people.scs.carleton.ca/~avamckenney"],
+  },
+  {
+    name: "fruitsA",
+    seeds: ["https://people.scs.carleton.ca/~avamckenney/fruitsA/N-0.html"],
+    include: ["https://people.scs.carleton.ca/~avamckenney"],
+  },
+  {
+    // Seed can stay at our-people, but we allow the crawl to expand under /scs/*
+    name: "personal",
+    seeds: ["https://carleton.ca/scs/our-people"],
+    include: ["https://carleton.ca/scs"],
+    // WordPress/admin/API endpoints cause redirects/403/bloat
+    exclude: [
+      "https://carleton.ca/scs/technical-support",
+      "https://carleton.ca/scs/tech-support",
+      "https://carleton.ca/scs/wp-login.php",
+      "https://carleton.ca/scs/wp-admin",
+      "https://carleton.ca/scs/wp-json",
+      "https://carleton.ca/scs/xmlrpc.php",
+    ],
+    // Query params are allowed (WP pagination needs them) except tracking ones
+    blockedExtensions: NON_HTML_EXTENSIONS,
+    blockedParams: TRACKING_PARAMS,
+    maxPages: 4000,
+    minPages: 500,
+  },
+];
+
+const DEFAULT_PAGERANK = { alpha: 0.1, threshold: 0.0001, maxIters: 60 };
+
+const RESERVED_NAMES = new Set([
+  "products", "orders", "reviews", "crawls", "datasets", "pageranks", "reindexes", "analytics", "search", "hits",
+  "index.html", "app.js", "styles.css",
+]);
+
+function withDefaults(def) {
+  return {
+    name: def.name,
+    seeds: def.seeds,
+    include: def.include ?? [],
+    exclude: def.exclude ?? [],
+    blockedExtensions: def.blockedExtensions ?? [],
+    blockedParams: def.blockedParams ?? [],
+    maxPages: def.maxPages ?? 2500,
+    maxDepth: def.maxDepth ?? null,
+    minPages: def.minPages ?? null,
+    analyzer: normalizeAnalyzerConfig(def.analyzer),
+    pagerank: {
+      alpha: def.pagerank?.alpha ?? DEFAULT_PAGERANK.alpha,
+      threshold: def.pagerank?.threshold ?? DEFAULT_PAGERANK.threshold,
+      maxIters: def.pagerank?.maxIters ?? DEFAULT_PAGERANK.maxIters,
+    },
+  };
+}
+
+function isStringArray(v) {
+  return Array.isArray(v) && v.every((x) => typeof x === "string" && x.trim().length > 0);
+}
+
+function isAbsoluteUrl(s) {
+  try {
+    const u = new URL(s);
+    return u.protocol === "http:" || u.protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate a dataset definition body. Returns an error message or null.
+ * `name` is checked only when `requireName` is set (PUT takes it from the path).
+ */
+function validateDataset(body, { requireName = true } = {}) {
+  if (typeof body !== "object" || body === null) return "Body must be a JSON object.";
+
+  if (requireName) {
+    const { name } = body;
+    if (typeof name !== "string" || !/^[A-Za-z0-9_-]+$/.test(name)) {
+      return "Field 'name' must be a non-empty string of letters, digits, '-' or '_'.";
+    }
+    if (RESERVED_NAMES.has(name)) return `Dataset name '${name}' is reserved.`;
+  }
+
+  if (!isStringArray(body.seeds) || body.seeds.length === 0) {
+    return "Field 'seeds' must be a non-empty array of URLs.";
+  }
+  if (!body.seeds.every(isAbsoluteUrl)) return "Every seed must be an absolute http(s) URL.";
+
+  for (const k of ["include", "exclude"]) {
+    if (body[k] === undefined) continue;
+    if (!isStringArray(body[k]) || !body[k].every(isAbsoluteUrl)) {
+      return `Field '${k}' must be an array of absolute URL prefixes.`;
+    }
+  }
+
+  for (const k of ["blockedExtensions", "blockedParams"]) {
+    if (body[k] !== undefined && !isStringArray(body[k])) return `Field '${k}' must be an array of strings.`;
+  }
+
+  const { maxPages, maxDepth, minPages } = body;
+  if (maxPages !== undefined && (!Number.isInteger(maxPages) || maxPages < 1)) {
+    return "Field 'maxPages' must be an integer >= 1.";
+  }
+  for (const [k, v] of Object.entries({ maxDepth, minPages })) {
+    if (v !== undefined && v !== null && (!Number.isInteger(v) || v < 0)) {
+      return `Field '${k}' must be null or an integer >= 0.`;
+    }
+  }
+
+  if (body.analyzer !== undefined) {
+    const a = body.analyzer;
+    if (typeof a !== "object" || a === null) return "Field 'analyzer' must be an object.";
+    for (const k of ["stopWords", "stem", "foldDiacritics"]) {
+      if (a[k] !== undefined && typeof a[k] !== "boolean") return `Field 'analyzer.${k}' must be a boolean.`;
+    }
+  }
+
+  if (body.pagerank !== undefined) {
+    const pr = body.pagerank;
+    if (typeof pr !== "object" || pr === null) return "Field 'pagerank' must be an object.";
+    if (pr.alpha !== undefined && !(typeof pr.alpha === "number" && pr.alpha > 0 && pr.alpha < 1)) {
+      return "Field 'pagerank.alpha' must be a number between 0 and 1 (exclusive).";
+    }
+    if (pr.threshold !== undefined && !(typeof pr.threshold === "number" && pr.threshold > 0)) {
+      return "Field 'pagerank.threshold' must be a number > 0.";
+    }
+    if (pr.maxIters !== undefined && !(Number.isInteger(pr.maxIters) && pr.maxIters >= 1 && pr.maxIters <= 1000)) {
+      return "Field 'pagerank.maxIters' must be an integer between 1 and 1000.";
+    }
+  }
+
+  return null;
+}
+
+async function ensureDefaultDatasets() {
+  await datasetsCol().createIndex({ name: 1 }, { unique: true });
+  for (const def of DEFAULT_DATASETS) {
+    await datasetsCol().updateOne(
+      { name: def.name },
+      { $setOnInsert: withDefaults(def) },
+      { upsert: true }
+    );
+  }
+}
+
+// Definitions stored before a field existed get its default.
+function fromStored(def) {
+  const out = withDefaults(def);
+  if (def.indexedAnalyzer) out.indexedAnalyzer = normalizeAnalyzerConfig(def.indexedAnalyzer);
+  return out;
+}
+
+async function getDataset(name) {
+  const def = await datasetsCol().findOne({ name }, { projection: { _id: 0 } });
+  return def ? fromStored(def) : null;
+}
+
+async function listDatasets() {
+  const defs = await datasetsCol().find({}, { projection: { _id: 0 } }).sort({ name: 1 }).toArray();
+  return defs.map(fromStored);
+}
+
+// Every page now uses `analyzer`; queries switch to it unless the definition changed again meanwhile.
+async function markReindexed(name, analyzer) {
+  await datasetsCol().updateOne({ name, analyzer }, { $unset: { indexedAnalyzer: "" } });
+}
+
+module.exports = {
+  DEFAULT_DATASETS,
+  DEFAULT_PAGERANK,
+  withDefaults,
+  validateDataset,
+  ensureDefaultDatasets,
+  getDataset,
+  listDatasets,
+  markReindexed,
+};
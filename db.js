@@ -34,4 +34,46 @@ function linksCol() {
   return db.collection("links");
 }
 
-module.exports = { connectDB, productsCol, ordersCol, pagesCol, linksCol };
\ No newline at end of file
+function frontierCol() {
+  if (!db) throw new Error("DB not connected");
+  return db.collection("frontier");
+}
+
+function datasetsCol() {
+  if (!db) throw new Error("DB not connected");
+  return db.collection("datasets");
+}
+
+function searchLogsCol() {
+  if (!db) throw new Error("DB not connected");
+  return db.collection("searchLogs");
+}
+
+function clicksCol() {
+  if (!db) throw new Error("DB not connected");
+  return db.collection("clicks");
+}
+
+function pagerankRunsCol() {
+  if (!db) throw new Error("DB not connected");
+  return db.collection("pagerankRuns");
+}
+
+function pagerankScoresCol() {
+  if (!db) throw new Error("DB not connected");
+  return db.collection("pagerankScores");
+}
+
+module.exports = {
+  connectDB,
+  productsCol,
+  ordersCol,
+  pagesCol,
+  linksCol,
+  frontierCol,
+  datasetsCol,
+  searchLogsCol,
+  clicksCol,
+  pagerankRunsCol,
+  pagerankScoresCol,
+};
\ No newline at end of file
@@ -0,0 +1,149 @@
+const crypto = require("crypto");
+const { pagesCol } = require("./db");
+
+// Pages whose simhashes differ in at most this many bits are near-duplicates.
+const MAX_HAMMING = 3;
+// Too little text makes simhash collide on boilerplate; such pages only cluster via rel=canonical.
+const MIN_SHINGLES = 8;
+const SHINGLE_SIZE = 3;
+
+/**
+ * 64-bit simhash over word shingles, as a 16-char hex string (null if too short).
+ */
+function simhash(tokens) {
+  const shingles = [];
+  for (let i = 0; i + SHINGLE_SIZE <= tokens.length; i++) {
+    shingles.push(tokens.slice(i, i + SHINGLE_SIZE).join(" "));
+  }
+  if (shingles.length < MIN_SHINGLES) return null;
+
+  const v = new Array(64).fill(0);
+  for (const sh of shingles) {
+    const h = crypto.createHash("md5").update(sh).digest();
+    for (let bit = 0; bit < 64; bit++) {
+      const set = (h[bit >> 3] >> (bit & 7)) & 1;
+      v[bit] += set ? 1 : -1;
+    }
+  }
+
+  const bytes = Buffer.alloc(8);
+  for (let bit = 0; bit < 64; bit++) {
+    if (v[bit] > 0) bytes[bit >> 3] |= 1 << (bit & 7);
+  }
+  return bytes.toString("hex");
+}
+
+function popcount32(x) {
+  x -= (x >>> 1) & 0x55555555;
+  x = (x & 0x33333333) + ((x >>> 2) & 0x33333333);
+  return (((x + (x >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+}
+
+function hamming(a, b) {
+  let d = 0;
+  for (let i = 0; i < 16; i += 8) {
+    d += popcount32((parseInt(a.slice(i, i + 8), 16) ^ parseInt(b.slice(i, i + 8), 16)) >>> 0);
+  }
+  return d;
+}
+
+// Cluster representative: fewest query params, then shortest, then alphabetical.
+function preferUrl(a, b) {
+  const q = (u) => (u.includes("?") ? u.split("?")[1].split("&").length : 0);
+  return q(a) - q(b) || a.length - b.length || a.localeCompare(b);
+}
+
+/**
+ * Group pages ({ url, simhash, canonicalUrl }) into duplicate clusters.
+ * Pages are joined when one declares the other as rel=canonical, or when their
+ * simhashes are within MAX_HAMMING bits. Returns Map url -> cluster canonical URL.
+ *
+ * Candidate pairs come from 4 bands of 16 bits: two hashes within 3 bits
+ * must agree exactly on at least one band.
+ */
+function clusterPages(pages) {
+  const parent = new Map();
+  const find = (u) => {
+    while (parent.get(u) !== u) {
+      parent.set(u, parent.get(parent.get(u)));
+      u = parent.get(u);
+    }
+    return u;
+  };
+  const union = (a, b) => {
+    const ra = find(a);
+    const rb = find(b);
+    if (ra !== rb) parent.set(ra, rb);
+  };
+
+  const urls = new Set(pages.map((p) => p.url));
+  for (const u of urls) parent.set(u, u);
+
+  for (const p of pages) {
+    if (p.canonicalUrl && p.canonicalUrl !== p.url && urls.has(p.canonicalUrl)) {
+      union(p.url, p.canonicalUrl);
+    }
+  }
+
+  const bands = new Map();
+  for (const p of pages) {
+    if (!p.simhash) continue;
+    for (let b = 0; b < 4; b++) {
+      const key = `${b}:${p.simhash.slice(b * 4, b * 4 + 4)}`;
+      if (!bands.has(key)) bands.set(key, []);
+      bands.get(key).push(p);
+    }
+  }
+  for (const bucket of bands.values()) {
+    for (let i = 0; i < bucket.length; i++) {
+      for (let j = i + 1; j < bucket.length; j++) {
+        if (hamming(bucket[i].simhash, bucket[j].simhash) <= MAX_HAMMING) {
+          union(bucket[i].url, bucket[j].url);
+        }
+      }
+    }
+  }
+
+  const members = new Map();
+  for (const u of urls) {
+    const r = find(u);
+    if (!members.has(r)) members.set(r, []);
+    members.get(r).push(u);
+  }
+
+  // A URL declared canonical by a member wins; otherwise the preferred member.
+  const declared = new Map(pages.map((p) => [p.url, p.canonicalUrl]));
+  const clusterOf = new Map();
+  for (const group of members.values()) {
+    const named = group.map((u) => declared.get(u)).filter((c) => c && group.includes(c));
+    const canonical = named.length ? [...new Set(named)].sort(preferUrl)[0] : [...group].sort(preferUrl)[0];
+    for (const u of group) clusterOf.set(u, canonical);
+  }
+  return clusterOf;
+}
+
+/**
+ * Recompute duplicate clusters for a dataset and store each page's `cluster`
+ * (the canonical URL of its cluster; its own URL when it has no duplicates).
+ */
+async function clusterDataset(dataset) {
+  const pages = await pagesCol()
+    .find({ dataset, status: 200 }, { projection: { url: 1, simhash: 1, canonicalUrl: 1, _id: 0 } })
+    .toArray();
+
+  const clusterOf = clusterPages(pages);
+  if (!clusterOf.size) return { pages: 0, duplicates: 0 };
+
+  await pagesCol().bulkWrite(
+    [...clusterOf].map(([url, cluster]) => ({
+      updateOne: { filter: { dataset, url }, update: { $set: { cluster } } },
+    })),
+    { ordered: false }
+  );
+
+  let duplicates = 0;
+  for (const [url, cluster] of clusterOf) if (url !== cluster) duplicates++;
+  return { pages: clusterOf.size, duplicates };
+}
+
+module.exports = { simhash, hamming, clusterPages, clusterDataset };
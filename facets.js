@@ -0,0 +1,155 @@
+/**
+ * Facet filters and counts for dataset search.
+ *
+ * Filters (query parameters, all optional):
+ *   path=/scs/people               URL path prefix (whole segments)
+ *   minWords=, maxWords=           page word count range, inclusive
+ *   fetchedAfter=, fetchedBefore=  ISO dates, fetchedAt range, inclusive
+ *   minDepth=, maxDepth=           crawl depth range (0 = seed), inclusive
+ *
+ * Cached pages need url, path (URL pathname), wordCount, fetchedAt and depth.
+ */
+
+const WORD_COUNT_BUCKETS = [0, 100, 250, 500, 1000, 2500];
+const MAX_PATH_BUCKETS = 10;
+const MAX_DATE_BUCKETS = 30;
+
+function parseCount(query, name) {
+  const raw = query[name];
+  if (raw === undefined || raw === "") return { value: null };
+  const n = Number(raw);
+  if (typeof raw !== "string" || !Number.isInteger(n) || n < 0) {
+    return { error: `Parameter '${name}' must be an integer >= 0.` };
+  }
+  return { value: n };
+}
+
+function parseDate(query, name) {
+  const raw = query[name];
+  if (raw === undefined || raw === "") return { value: null };
+  const t = typeof raw === "string" ? Date.parse(raw) : NaN;
+  if (!Number.isFinite(t)) return { error: `Parameter '${name}' must be an ISO date.` };
+  return { value: t };
+}
+
+// "/scs/people/" and "scs/people" both mean the /scs/people subtree
+function normalizePath(raw) {
+  const trimmed = raw.trim().replace(/^\/*/, "/").replace(/\/+$/, "");
+  return trimmed || "/";
+}
+
+/**
+ * Read facet filters from a request query.
+ * Returns { filters, active } or { error }.
+ */
+function parseFacetFilters(query) {
+  const filters = {
+    path: typeof query.path === "string" && query.path.trim() ? normalizePath(query.path) : null,
+  };
+
+  for (const [key, parse] of [
+    ["minWords", parseCount], ["maxWords", parseCount],
+    ["minDepth", parseCount], ["maxDepth", parseCount],
+    ["fetchedAfter", parseDate], ["fetchedBefore", parseDate],
+  ]) {
+    const r = parse(query, key);
+    if (r.error) return { error: r.error };
+    filters[key] = r.value;
+  }
+
+  for (const [lo, hi] of [["minWords", "maxWords"], ["minDepth", "maxDepth"], ["fetchedAfter", "fetchedBefore"]]) {
+    if (filters[lo] !== null && filters[hi] !== null && filters[lo] > filters[hi]) {
+      return { error: `Parameter '${lo}' must not be greater than '${hi}'.` };
+    }
+  }
+
+  return { filters, active: Object.values(filters).some((v) => v !== null) };
+}
+
+function underPath(pagePath, prefix) {
+  return prefix === "/" || pagePath === prefix || pagePath.startsWith(`${prefix}/`);
+}
+
+function passesFilters(page, f) {
+  if (f.path !== null && !underPath(page.path, f.path)) return false;
+
+  const words = page.wordCount || 0;
+  if (f.minWords !== null && words < f.minWords) return false;
+  if (f.maxWords !== null && words > f.maxWords) return false;
+
+  const depth = page.depth ?? null;
+  if ((f.minDepth !== null || f.maxDepth !== null) && depth === null) return false;
+  if (f.minDepth !== null && depth < f.minDepth) return false;
+  if (f.maxDepth !== null && depth > f.maxDepth) return false;
+
+  if (f.fetchedAfter !== null || f.fetchedBefore !== null) {
+    const t = page.fetchedAt ? new Date(page.fetchedAt).getTime() : NaN;
+    if (!Number.isFinite(t)) return false;
+    if (f.fetchedAfter !== null && t < f.fetchedAfter) return false;
+    if (f.fetchedBefore !== null && t > f.fetchedBefore) return false;
+  }
+  return true;
+}
+
+// Next path segment below the current path filter: /scs -> /scs/people
+function childPath(pagePath, prefix) {
+  const base = prefix && prefix !== "/" ? prefix : "";
+  const rest = pagePath.slice(base.length).split("/").filter(Boolean);
+  return rest.length ? `${base}/${rest[0]}` : null;
+}
+
+function wordBucket(words) {
+  let i = WORD_COUNT_BUCKETS.length - 1;
+  while (words < WORD_COUNT_BUCKETS[i]) i--;
+  return i;
+}
+
+/**
+ * Facet counts over the pages that make up a result list.
+ * {
+ *   path: [{ value, count }]            children of the path filter, largest first
+ *   wordCount: [{ min, max, count }]    max null = no upper bound
+ *   fetchedAt: [{ value: "YYYY-MM-DD", count }]  newest first
+ *   depth: [{ value, count }]           value null = unknown (crawled before depth was stored)
+ * }
+ */
+function countFacets(pages, filters) {
+  const paths = new Map();
+  const words = new Array(WORD_COUNT_BUCKETS.length).fill(0);
+  const days = new Map();
+  const depths = new Map();
+
+  for (const p of pages) {
+    const child = childPath(p.path, filters.path);
+    if (child) paths.set(child, (paths.get(child) || 0) + 1);
+
+    words[wordBucket(p.wordCount || 0)]++;
+
+    const day = p.fetchedAt ? new Date(p.fetchedAt).toISOString().slice(0, 10) : null;
+    if (day) days.set(day, (days.get(day) || 0) + 1);
+
+    const depth = p.depth ?? null;
+    depths.set(depth, (depths.get(depth) || 0) + 1);
+  }
+
+  return {
+    path: [...paths]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, MAX_PATH_BUCKETS)
+      .map(([value, count]) => ({ value, count })),
+    wordCount: WORD_COUNT_BUCKETS.map((min, i) => ({
+      min,
+      max: i + 1 < WORD_COUNT_BUCKETS.length ? WORD_COUNT_BUCKETS[i + 1] - 1 : null,
+      count: words[i],
+    })).filter((b) => b.count > 0),
+    fetchedAt: [...days]
+      .sort((a, b) => b[0].localeCompare(a[0]))
+      .slice(0, MAX_DATE_BUCKETS)
+      .map(([value, count]) => ({ value, count })),
+    depth: [...depths]
+      .sort((a, b) => (a[0] ?? Infinity) - (b[0] ?? Infinity))
+      .map(([value, count]) => ({ value, count })),
+  };
+}
+
+module.exports = { parseFacetFilters, passesFilters, countFacets, underPath, normalizePath };
@@ -0,0 +1,74 @@
+/**
+ * Merging result lists from several datasets.
+ *
+ * Raw scores are not comparable across datasets (each has its own IDF, lengths and
+ * PageRank scale), so every dataset's hits are first put on a common scale:
+ *
+ *   max     score / best score in the dataset          top hit of every dataset = 1
+ *   zscore  (score - mean) / stddev over its hits      how far a hit stands out in its dataset
+ *   rrf     1 / (k + rank in the dataset), k = 60      only the order counts
+ *
+ * ?normalize= picks one (default max); the merged list is sorted by the normalized score.
+ */
+
+const RRF_K = 60;
+
+const NORMALIZERS = ["max", "zscore", "rrf"];
+
+/**
+ * ?datasets=a,b (all datasets when absent) and ?normalize=.
+ * Returns { names: string[] | null, normalize } or { error }.
+ */
+function parseFederation(query) {
+  const normalize = typeof query.normalize === "string" && query.normalize.trim()
+    ? query.normalize.trim().toLowerCase()
+    : "max";
+  if (!NORMALIZERS.includes(normalize)) {
+    return { error: `Unknown normalize '${normalize}'. Use one of: ${NORMALIZERS.join(", ")}.` };
+  }
+
+  if (query.datasets === undefined || query.datasets === "") return { names: null, normalize };
+  if (typeof query.datasets !== "string") return { error: "Parameter 'datasets' must be a comma-separated list." };
+  const names = [...new Set(query.datasets.split(",").map((s) => s.trim()).filter(Boolean))];
+  if (!names.length) return { error: "Parameter 'datasets' must name at least one dataset." };
+  return { names, normalize };
+}
+
+/**
+ * Set `norm` on each hit of one dataset's list, which must be in rank order.
+ */
+function normalizeScores(hits, method) {
+  if (!hits.length) return;
+
+  if (method === "rrf") {
+    // equal scores share a rank
+    let rank = 1;
+    hits.forEach((h, i) => {
+      if (i > 0 && h.score !== hits[i - 1].score) rank = i + 1;
+      h.norm = 1 / (RRF_K + rank);
+    });
+    return;
+  }
+
+  if (method === "zscore") {
+    const mean = hits.reduce((a, h) => a + h.score, 0) / hits.length;
+    const sd = Math.sqrt(hits.reduce((a, h) => a + (h.score - mean) ** 2, 0) / hits.length);
+    for (const h of hits) h.norm = sd > 0 ? (h.score - mean) / sd : 0;
+    return;
+  }
+
+  const top = hits[0].score;
+  for (const h of hits) h.norm = top > 0 ? h.score / top : 0;
+}
+
+/**
+ * One list from per-dataset lists of { dataset, url, norm, ... }: highest normalized
+ * score first, ties by dataset then URL so the order is stable.
+ */
+function mergeResults(lists) {
+  return lists
+    .flat()
+    .sort((a, b) => b.norm - a.norm || a.dataset.localeCompare(b.dataset) || a.url.localeCompare(b.url));
+}
+
+module.exports = { NORMALIZERS, parseFederation, normalizeScores, mergeResults };
@@ -1,6 +1,52 @@
 require("dotenv").config();
-const { connectDB, productsCol, ordersCol, pagesCol, linksCol } = require("./db");
+const { connectDB, productsCol, ordersCol, pagesCol, linksCol, frontierCol, datasetsCol } = require("./db");
 const { ObjectId } = require("mongodb");
+const { crawlDataset, reindexDataset } = require("./crawler");
+const { analyzerKey } = require("./analyzer");
+const { minWindow } = require("./positions");
+const { parseQuery, scoringTerms, isBagOfWords, matches } = require("./query");
+const { makeSnippets } = require("./snippets");
+const { buildSpellIndex, suggestQuery } = require("./spelling");
+const { buildCompletionIndex, queryKey, complete } = require("./completions");
+const { parseFacetFilters, passesFilters, countFacets } = require("./facets");
+const {
+  ensureAnalyticsIndexes,
+  logSearch,
+  findSearch,
+  recordClick,
+  topQueries,
+  zeroResultQueries,
+  ctrByPosition,
+} = require("./analytics");
+const { parseScorer } = require("./scorers");
+const { parseBlend, applyBlend } = require("./blending");
+const { parseFederation, normalizeScores, mergeResults } = require("./federation");
+const { buildDocNorms, parseLinkWeight, similarPages } = require("./similar");
+const {
+  buildLinkGraph,
+  pageRankScores,
+  parseLinkSignal,
+  parseTeleport,
+  teleportVector,
+  hitsScores,
+  rankStats,
+} = require("./linkAnalysis");
+const {
+  ensurePageRankIndexes,
+  reusablePageRankRun,
+  savePageRankRun,
+  rankHistory,
+  deletePageRankRuns,
+} = require("./pagerankRuns");
+const {
+  withDefaults,
+  validateDataset,
+  ensureDefaultDatasets,
+  getDataset,
+  listDatasets,
+  DEFAULT_PAGERANK,
+} = require("./datasets");
+const crypto = require("crypto");
 
 const express = require("express");
 const path = require("path");
@@ -110,28 +156,94 @@ function reviewsToHtml(product) {
 }
 
 // -------------------- Search + PageRank caches --------------------
+/**
+ * Indexed fields and their default weight in the search score. "body" is the
+ * <p> text (page.termFreq); the others come from page.fieldTermFreq.
+ * Override per request with ?weights=title:5,body:1
+ */
+const FIELD_WEIGHTS = { title: 3, headings: 2, description: 1.5, alt: 0.5, body: 1 };
+const FIELDS = Object.keys(FIELD_WEIGHTS);
+
+// Up to this much extra score when all query terms sit next to each other in the body.
+const PROXIMITY_BOOST = 0.5;
+
 /**
  * datasetCache:
  *  name -> {
- *    pages: Array<pageDoc>,
- *    idf: Record<string, number>,
+ *    pages: Array<pageDoc>,  // plus fieldTf / fieldLen / path per page
+ *    idf: Record<string, number>,  // body IDF
+ *    fieldIdf: Record<field, Record<string, number>>,
+ *    postings: Record<field, Map<term, { idx: number[], tf: number[], w: number[] }>>,  // see scorers.js
+ *    fieldStats: Record<field, { avgLen: number, totalLen: number }>,
+ *    docNorms: Float64Array,  // body tf-idf vector length per page (see similar.js)
+ *    urlOrder: number[],  // page indexes sorted by url (zero-score tail of a ranking)
+ *    indexByUrl: Map<url, page index>,
+ *    clusterSize: Map<cluster url, number>,
+ *    clusterOf: Map<url, canonical url of its near-duplicate cluster>,
+ *    analyzer: analyzer config used for queries (the dataset's),
+ *    pagerankParams: the dataset's PageRank settings, for personalized runs,
+ *    staleTerms: number of pages whose terms came from a different analyzer,
  *    prMap: Map<string,urlPr>,
+ *    prStats: { maxPr, N, rank: Int32Array } | null,  // rank[i]: 1-based position of page i by PageRank
+ *    prRun: the stored PageRank run prMap came from | null,
+ *    graph: { out, in } link adjacency by page index | null,  // loaded on first use (see linkAnalysis.js)
+ *    personalized: Map<teleport key, number[]>,  // personalized PageRank runs (LRU)
+ *    spell: spelling index over every indexed term (see spelling.js),
+ *    completions: sorted words and title phrases for /suggest (see completions.js),
+ *    rankings: Map<request key, { hits: Array<{ d, score }>, total, clusterSize, facets, listing }>,  // full orderings kept for paging (LRU)
+ *    version: number, builtAt: Date | null, buildMs: number,  // which snapshot this is
  *    ready: boolean,
  *    warmingPromise: Promise<void> | null
  *  }
+ *
+ * Each entry is an immutable snapshot once ready: a rebuild fills a fresh state
+ * object and swaps it in, so requests already holding the old one finish on it.
  */
 const datasetCache = new Map();
 
+// name -> last snapshot version handed out (survives cache deletes, so versions only go up)
+const snapshotVersions = new Map();
+
+function nextSnapshotVersion(name) {
+  const v = (snapshotVersions.get(name) || 0) + 1;
+  snapshotVersions.set(name, v);
+  return v;
+}
+
+function newDatasetState() {
+  return {
+    pages: [],
+    idf: Object.create(null),
+    fieldIdf: Object.create(null),
+    postings: Object.create(null),
+    fieldStats: Object.create(null),
+    docNorms: new Float64Array(0),
+    urlOrder: [],
+    indexByUrl: new Map(),
+    clusterSize: new Map(),
+    clusterOf: new Map(),
+    analyzer: null,
+    pagerankParams: DEFAULT_PAGERANK,
+    staleTerms: 0,
+    prMap: new Map(),
+    prRun: null,
+    graph: null,
+    graphPromise: null,
+    personalized: new Map(),
+    prStats: null,
+    spell: null,
+    completions: null,
+    rankings: new Map(),
+    version: 0,
+    builtAt: null,
+    buildMs: 0,
+    ready: false,
+    warmingPromise: null,
+  };
+}
+
 function getDatasetState(name) {
-  if (!datasetCache.has(name)) {
-    datasetCache.set(name, {
-      pages: [],
-      idf: Object.create(null),
-      prMap: new Map(),
-      ready: false,
-      warmingPromise: null,
-    });
-  }
+  if (!datasetCache.has(name)) datasetCache.set(name, newDatasetState());
   return datasetCache.get(name);
 }
 
@@ -151,6 +263,137 @@ function parseLimit(v) {
   return n;
 }
 
+// Full result orderings cached per dataset so later pages are sliced, not re-ranked.
+const RANKING_CACHE_SIZE = 20;
+
+function rankingFingerprint(key) {
+  return crypto.createHash("sha1").update(key).digest("hex").slice(0, 12);
+}
+
+// `snapshot` names the snapshot(s) the ranking came from, so paging never crosses a rebuild.
+function makeCursor(offset, key, snapshot) {
+  return Buffer.from(JSON.stringify({ o: offset, k: rankingFingerprint(key), v: snapshot })).toString("base64url");
+}
+
+/**
+ * Page start from ?cursor= (as handed out in next/prev links) or ?offset=.
+ * Returns { offset } or { error, status }; a cursor only works for the query and
+ * snapshot that produced it (409 once the dataset has been rebuilt).
+ */
+function parsePage(query, key, snapshot) {
+  if (typeof query.cursor === "string" && query.cursor.length) {
+    let c;
+    try {
+      c = JSON.parse(Buffer.from(query.cursor, "base64url").toString("utf8"));
+    } catch {
+      c = null;
+    }
+    if (!c || !Number.isInteger(c.o) || c.o < 0) return { error: "Invalid cursor.", status: 400 };
+    if (c.k !== rankingFingerprint(key)) return { error: "Cursor does not belong to this query.", status: 400 };
+    if (c.v !== snapshot) {
+      return { error: "Results have changed since this cursor was issued; start again from the first page.", status: 409 };
+    }
+    return { offset: c.o };
+  }
+
+  let offset = 0;
+  if (typeof query.offset === "string" && query.offset.trim().length) {
+    const x = Number(query.offset);
+    if (Number.isFinite(x)) offset = Math.max(0, Math.trunc(x));
+  }
+  return { offset };
+}
+
+function rememberRanking(st, key, entry) {
+  st.rankings.delete(key);
+  st.rankings.set(key, entry);
+  if (st.rankings.size > RANKING_CACHE_SIZE) st.rankings.delete(st.rankings.keys().next().value);
+}
+
+// dataset -> Map<query key, times searched>; feeds /:datasetName/suggest. Kept across cache rebuilds.
+const queryPopularity = new Map();
+const MAX_POPULAR_QUERIES = 5000;
+
+function recordQuery(datasetName, key) {
+  if (!key) return;
+  if (!queryPopularity.has(datasetName)) queryPopularity.set(datasetName, new Map());
+  const counts = queryPopularity.get(datasetName);
+  counts.set(key, (counts.get(key) || 0) + 1);
+  // forget the oldest query first
+  if (counts.size > MAX_POPULAR_QUERIES) counts.delete(counts.keys().next().value);
+}
+
+// ?snippets=0..5 per hit, default 2
+function parseSnippetCount(v) {
+  if (typeof v !== "string" || !v.trim().length) return 2;
+  const n = Math.trunc(Number(v));
+  return Number.isFinite(n) ? Math.min(Math.max(n, 0), 5) : 2;
+}
+
+// "title:5,body:0" -> FIELD_WEIGHTS with those fields overridden; bad entries are ignored
+function parseWeights(v) {
+  const weights = { ...FIELD_WEIGHTS };
+  if (typeof v !== "string") return weights;
+  for (const part of v.split(",")) {
+    const [field, raw] = part.split(":").map((x) => x.trim());
+    const n = Number(raw);
+    if (FIELDS.includes(field) && raw !== "" && Number.isFinite(n) && n >= 0) weights[field] = n;
+  }
+  return weights;
+}
+
+/**
+ * Add query-biased snippets to the hits of a page of results. paragraphText is not
+ * kept in the cache, so it is read here for just these pages.
+ */
+async function attachSnippets(datasetName, results, terms, analyzer, count) {
+  if (!count || !results.length) return;
+  const docs = await pagesCol()
+    .find({ dataset: datasetName, url: { $in: results.map((r) => r.url) } }, { projection: { url: 1, paragraphText: 1, _id: 0 } })
+    .toArray();
+  const textByUrl = new Map(docs.map((d) => [d.url, d.paragraphText]));
+  for (const r of results) r.snippets = makeSnippets(textByUrl.get(r.url), terms, analyzer, { count });
+}
+
+/**
+ * The k smallest items under `cmp`, sorted, without sorting the whole array.
+ */
+function topK(items, k, cmp) {
+  if (k <= 0) return [];
+  const heap = []; // max-heap under cmp: heap[0] is the worst item kept so far
+  const up = (i) => {
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (cmp(heap[i], heap[parent]) <= 0) break;
+      [heap[i], heap[parent]] = [heap[parent], heap[i]];
+      i = parent;
+    }
+  };
+  const down = (i) => {
+    for (;;) {
+      const l = 2 * i + 1;
+      const r = l + 1;
+      let m = i;
+      if (l < heap.length && cmp(heap[l], heap[m]) > 0) m = l;
+      if (r < heap.length && cmp(heap[r], heap[m]) > 0) m = r;
+      if (m === i) return;
+      [heap[i], heap[m]] = [heap[m], heap[i]];
+      i = m;
+    }
+  };
+
+  for (const it of items) {
+    if (heap.length < k) {
+      heap.push(it);
+      up(heap.length - 1);
+    } else if (cmp(it, heap[0]) < 0) {
+      heap[0] = it;
+      down(0);
+    }
+  }
+  return heap.sort(cmp);
+}
+
 function safeTitle(page) {
   const t = (page && typeof page.title === "string") ? page.title.trim() : "";
   if (t) return t;
@@ -164,26 +407,17 @@ function safeTitle(page) {
   }
 }
 
-function euclideanDistance(a, b) {
-  let sum = 0;
-  for (let i = 0; i < a.length; i++) {
-    const d = a[i] - b[i];
-    sum += d * d;
-  }
-  return Math.sqrt(sum);
-}
-
 /**
  * Compute PageRank once for a dataset; capped iterations for speed.
+ * params: { alpha, threshold, maxIters } from the dataset's `pagerank` settings.
+ * Returns { prMap, iterations, delta, links, graph } (graph: see linkAnalysis.js).
  */
-async function computePageRanksForDataset(datasetName, pages) {
-  if (!Array.isArray(pages) || pages.length === 0) return new Map();
+async function computePageRanksForDataset(datasetName, pages, params = DEFAULT_PAGERANK) {
+  if (!Array.isArray(pages) || pages.length === 0) {
+    return { prMap: new Map(), iterations: 0, delta: 0, links: 0, graph: { out: [], in: [] } };
+  }
 
   const urls = pages.map((p) => p.url);
-  const N = urls.length;
-
-  const indexByUrl = new Map();
-  for (let i = 0; i < N; i++) indexByUrl.set(urls[i], i);
 
   const allLinks = await linksCol()
     .find({ dataset: datasetName }, { projection: { from: 1, to: 1, _id: 0 } })
@@ -191,209 +425,1066 @@ async function computePageRanksForDataset(datasetName, pages) {
 
   console.log(`[pr ${datasetName}] links=${allLinks.length} pages=${pages.length}`);
 
-  // adjacency as arrays for speed
-  const outSets = Array.from({ length: N }, () => new Set());
-  for (const l of allLinks) {
-    const fromIdx = indexByUrl.get(l.from);
-    const toIdx = indexByUrl.get(l.to);
-    if (fromIdx === undefined || toIdx === undefined) continue;
-    if (fromIdx === toIdx) continue;
-    outSets[fromIdx].add(toIdx);
-  }
-
-  const out = outSets.map((s) => Array.from(s));
-  const outDeg = out.map((a) => a.length);
-
-  const alpha = 0.1;
-  const threshold = 0.0001;
-  const MAX_ITERS = 60; // optimize for speed
-
-  let pr = Array(N).fill(1 / N);
-  let next = Array(N).fill(0);
+  const graph = buildLinkGraph(urls, allLinks);
+  const { pr, iterations, delta } = pageRankScores(graph.out, params);
 
-  for (let iter = 0; iter < MAX_ITERS; iter++) {
-    const base = alpha / N;
-    for (let i = 0; i < N; i++) next[i] = base;
-
-    let danglingMass = 0;
-    for (let i = 0; i < N; i++) if (outDeg[i] === 0) danglingMass += pr[i];
-
-    const danglingContribution = (1 - alpha) * (danglingMass / N);
-    for (let i = 0; i < N; i++) next[i] += danglingContribution;
-
-    // normal
-    for (let j = 0; j < N; j++) {
-      const d = outDeg[j];
-      if (d === 0) continue;
-      const share = (1 - alpha) * (pr[j] / d);
-      const neigh = out[j];
-      for (let k = 0; k < neigh.length; k++) next[neigh[k]] += share;
-    }
-
-    const dist = euclideanDistance(pr, next);
-    pr = [...next];
-    if (dist < threshold) break;
-  }
+  console.log(`[pr ${datasetName}] alpha=${params.alpha} iterations=${iterations} delta=${delta.toExponential(2)}`);
 
   const prMap = new Map();
-  for (let i = 0; i < N; i++) prMap.set(urls[i], pr[i]);
-  return prMap;
+  for (let i = 0; i < urls.length; i++) prMap.set(urls[i], pr[i]);
+  return { prMap, iterations, delta, links: allLinks.length, graph };
 }
 
 /**
- * Warm dataset cache:
+ * Load a dataset's pages into `st` and build every search structure except PageRank.
  * - load pages once (projection; exclude html)
  * - build DF/IDF once
- * - mark ready BEFORE PR
- * - compute PR best-effort (doesn't block readiness)
+ * Returns the dataset definition.
  */
-async function warmDataset(datasetName) {
-  const st = getDatasetState(datasetName);
-  if (st.ready) return;
-  if (st.warmingPromise) return st.warmingPromise;
+async function buildSnapshot(datasetName, st) {
+  const def = await getDataset(datasetName);
+  const pages = await pagesCol().find(
+    { dataset: datasetName, status: 200 },
+    {
+      projection: {
+        url: 1, termFreq: 1, termPositions: 1, wordCount: 1, title: 1, fieldTermFreq: 1, cluster: 1, analyzer: 1,
+        fetchedAt: 1, depth: 1, pr: 1, prRunId: 1, description: 1, headings: 1,
+      },
+    }
+  ).toArray();
 
-  st.warmingPromise = (async () => {
-    const pages = await pagesCol().find(
-      { dataset: datasetName, status: 200 },
-      { projection: { url: 1, termFreq: 1, wordCount: 1, title: 1 } }
-    ).toArray();
+  // pages crawled before depth was stored on them: take it from the frontier
+  if (pages.some((p) => p.depth === undefined)) {
+    const frontier = await frontierCol()
+      .find({ dataset: datasetName }, { projection: { url: 1, depth: 1, _id: 0 } })
+      .toArray();
+    const depthOf = new Map(frontier.map((e) => [e.url, e.depth]));
+    for (const p of pages) if (p.depth === undefined) p.depth = depthOf.get(p.url) ?? null;
+  }
 
-    console.log(`[warm ${datasetName}] pages=${pages.length}`);
+  console.log(`[warm ${datasetName}] pages=${pages.length}`);
+
+  // while a reindex is pending, queries are analyzed the way the stored pages were
+  st.analyzer = def?.indexedAnalyzer ?? def?.analyzer ?? null;
+  st.pagerankParams = def?.pagerank ?? DEFAULT_PAGERANK;
+  const key = analyzerKey(st.analyzer);
+  // pages stored before the analyzer was recorded were tokenized the default way
+  const defaultKey = analyzerKey(null);
+  st.staleTerms = pages.filter((p) => (p.analyzer ?? defaultKey) !== key).length;
+  if (st.staleTerms) {
+    console.warn(`[warm ${datasetName}] ${st.staleTerms} pages need reindex (analyzer ${key})`);
+  }
+
+  // term maps arrive as plain objects; without a prototype, words like "constructor" look up cleanly
+  const termMap = (m) => Object.assign(Object.create(null), m);
+  for (const p of pages) {
+    p.termPositions = termMap(p.termPositions);
+    p.fieldTf = Object.create(null);
+    for (const [f, tf] of Object.entries(p.fieldTermFreq || {})) p.fieldTf[f] = termMap(tf);
+    p.fieldTf.body = termMap(p.termFreq);
+    p.fieldLen = {};
+    for (const f of FIELDS) {
+      p.fieldLen[f] = f === "body"
+        ? p.wordCount || 0
+        : Object.values(p.fieldTf[f] || {}).reduce((a, b) => a + b, 0);
+    }
+    delete p.fieldTermFreq;
+    delete p.termFreq;
+    try {
+      p.path = new URL(p.url).pathname;
+    } catch {
+      p.path = "/";
+    }
+  }
 
-    st.pages = pages;
+  st.pages = pages;
+  st.clusterOf = new Map(pages.filter((p) => p.cluster).map((p) => [p.url, p.cluster]));
 
-    // build DF then IDF
+  // build DF then IDF, per field
+  const N = pages.length;
+  const fieldIdf = Object.create(null);
+  for (const f of FIELDS) {
     const df = Object.create(null);
     for (const p of pages) {
-      const tf = p.termFreq || {};
-      for (const w of Object.keys(tf)) df[w] = (df[w] || 0) + 1;
+      for (const w of Object.keys(p.fieldTf[f] || {})) df[w] = (df[w] || 0) + 1;
     }
 
-    const N = pages.length;
     const idf = Object.create(null);
     for (const [w, c] of Object.entries(df)) {
       idf[w] = Math.max(0, Math.log2(N / (1 + c)));
     }
-    st.idf = idf;
+    fieldIdf[f] = idf;
+  }
+  st.fieldIdf = fieldIdf;
+  st.idf = fieldIdf.body;
+
+  // inverted index: term -> pages containing it, with the raw count and the
+  // page's tf-idf weight; plus the length statistics BM25 and LM need
+  const postings = Object.create(null);
+  const fieldStats = Object.create(null);
+  for (const f of FIELDS) {
+    const idf = fieldIdf[f];
+    const byTerm = new Map();
+    let totalLen = 0;
+    pages.forEach((p, i) => {
+      const tfMap = p.fieldTf[f] || {};
+      const wc = p.fieldLen[f] || 0;
+      if (wc <= 0) return;
+      totalLen += wc;
+      for (const [w, freq] of Object.entries(tfMap)) {
+        if (!byTerm.has(w)) byTerm.set(w, { idx: [], tf: [], w: [] });
+        const list = byTerm.get(w);
+        list.idx.push(i);
+        list.tf.push(freq);
+        list.w.push(Math.log2(1 + freq / wc) * (idf[w] || 0));
+      }
+    });
+    postings[f] = byTerm;
+    fieldStats[f] = { totalLen, avgLen: N > 0 ? totalLen / N : 0 };
+  }
+  st.postings = postings;
+  st.fieldStats = fieldStats;
+  st.docNorms = buildDocNorms(postings.body, N);
+
+  // document frequency over all fields, for spelling suggestions
+  const docFreq = new Map();
+  for (const p of pages) {
+    const seen = new Set();
+    for (const f of FIELDS) for (const w of Object.keys(p.fieldTf[f] || {})) seen.add(w);
+    for (const w of seen) docFreq.set(w, (docFreq.get(w) || 0) + 1);
+  }
+  st.spell = buildSpellIndex(docFreq);
+  st.completions = buildCompletionIndex(docFreq, pages, st.analyzer);
+  // only completions needed the page text
+  for (const p of pages) {
+    delete p.description;
+    delete p.headings;
+  }
 
-    // Allow search immediately (even if PR is still computing)
-    st.ready = true;
+  st.urlOrder = pages.map((_, i) => i).sort((a, b) => pages[a].url.localeCompare(pages[b].url));
+  st.indexByUrl = new Map(pages.map((p, i) => [p.url, i]));
+  st.clusterSize = new Map();
+  for (const p of pages) {
+    const key = st.clusterOf.get(p.url) || p.url;
+    st.clusterSize.set(key, (st.clusterSize.get(key) || 0) + 1);
+  }
 
-    try {
-      st.prMap = await computePageRanksForDataset(datasetName, pages);
-    } catch (e) {
-      console.error(`PR failed for dataset=${datasetName}:`, e);
-      st.prMap = new Map();
+  return def;
+}
+
+// What the rank-based boost blends need: the largest score and each page's position.
+function pageRankStats(pages, prMap) {
+  return rankStats(pages.map((p) => prMap.get(p.url) ?? 0));
+}
+
+/**
+ * PageRank for a snapshot: the stored run when nothing has changed since it,
+ * otherwise a new run, stored with its scores (pagerankRuns.js).
+ * Best-effort: if it fails, pages keep whatever score they were stored with (or 0).
+ */
+async function attachPageRanks(datasetName, st, def) {
+  const params = def?.pagerank ?? DEFAULT_PAGERANK;
+  try {
+    const stored = st.pages.length ? await reusablePageRankRun(datasetName, st.pages, params) : null;
+    if (stored) {
+      st.prMap = new Map(st.pages.map((p) => [p.url, p.pr]));
+      st.prStats = pageRankStats(st.pages, st.prMap);
+      st.prRun = stored;
+      console.log(`[pr ${datasetName}] reusing run of ${stored.at.toISOString()}`);
+    } else {
+      const started = Date.now();
+      const run = await computePageRanksForDataset(datasetName, st.pages, params);
+      st.prMap = run.prMap;
+      st.graph = run.graph;
+      for (const p of st.pages) p.pr = run.prMap.get(p.url) ?? 0;
+      st.prStats = pageRankStats(st.pages, st.prMap);
+      if (st.pages.length) {
+        st.prRun = await savePageRankRun(
+          datasetName,
+          { params, iterations: run.iterations, delta: run.delta, links: run.links, durationMs: Date.now() - started },
+          st.pages,
+          st.prMap,
+          st.prStats.rank
+        ).catch((e) => {
+          console.error(`Saving PR run failed for dataset=${datasetName}:`, e);
+          return null;
+        });
+      }
     }
+  } catch (e) {
+    console.error(`PR failed for dataset=${datasetName}:`, e);
+    st.prMap = new Map(st.pages.filter((p) => typeof p.pr === "number").map((p) => [p.url, p.pr]));
+  }
+}
+
+/**
+ * First load of a dataset: searchable as soon as the indexes are built,
+ * PageRank follows in the background and then counts as a new snapshot version.
+ */
+async function warmDataset(datasetName) {
+  const st = getDatasetState(datasetName);
+  if (st.ready) return;
+  if (st.warmingPromise) return st.warmingPromise;
+
+  st.warmingPromise = (async () => {
+    const started = Date.now();
+    const def = await buildSnapshot(datasetName, st);
+    st.version = nextSnapshotVersion(datasetName);
+    st.builtAt = new Date();
+    st.buildMs = Date.now() - started;
+
+    // Allow search immediately (even if PR is still computing)
+    st.ready = true;
+    await attachPageRanks(datasetName, st, def);
+    // rankings and cursors from before PageRank arrived must not be reused with it
+    st.rankings.clear();
+    st.version = nextSnapshotVersion(datasetName);
   })().catch((e) => {
     console.error(`Warm failed for dataset=${datasetName}:`, e);
     st.ready = false;
+    st.warmingPromise = null;
   });
 
   return st.warmingPromise;
 }
 
+// name -> { promise, again } for the rebuild in progress
+const snapshotBuilds = new Map();
+
+/**
+ * Build a new snapshot of a dataset (PageRank included) next to the live one and
+ * swap it in. Requests already holding the old snapshot finish against it.
+ * A rebuild requested while one is running runs once more after it.
+ */
+function rebuildDataset(datasetName) {
+  const current = datasetCache.get(datasetName);
+  // a first load already in flight may have read the pages before the change
+  if (current && !current.ready && current.warmingPromise) {
+    return current.warmingPromise.then(() => rebuildDataset(datasetName));
+  }
+  if (!current || !current.ready) return warmDataset(datasetName);
+
+  const running = snapshotBuilds.get(datasetName);
+  if (running) {
+    running.again = true;
+    return running.promise;
+  }
+
+  const build = { again: false, promise: null };
+  build.promise = (async () => {
+    do {
+      build.again = false;
+      const started = Date.now();
+      const next = newDatasetState();
+      const def = await buildSnapshot(datasetName, next);
+      await attachPageRanks(datasetName, next, def);
+
+      // dataset deleted while we were building
+      if (!datasetCache.has(datasetName) || !def) return;
+
+      next.version = nextSnapshotVersion(datasetName);
+      next.builtAt = new Date();
+      next.buildMs = Date.now() - started;
+      next.ready = true;
+      datasetCache.set(datasetName, next);
+      console.log(`[snapshot ${datasetName}] v${next.version} pages=${next.pages.length} in ${next.buildMs}ms`);
+    } while (build.again);
+  })()
+    .catch((e) => console.error(`Rebuild failed for dataset=${datasetName}:`, e))
+    .finally(() => snapshotBuilds.delete(datasetName));
+
+  snapshotBuilds.set(datasetName, build);
+  return build.promise;
+}
+
+// Which snapshot answered a request.
+function snapshotInfo(st) {
+  return { version: st.version, builtAt: st.builtAt };
+}
+
+// Wait this long after the last page change before rebuilding, so a burst of writes costs one rebuild.
+const PAGE_CHANGE_SETTLE_MS = 30_000;
+
+// Fields a PageRank run writes onto pages (pagerankRuns.js); they do not change search results.
+const PAGERANK_PAGE_FIELDS = new Set(["pr", "prRank", "prRunId"]);
+
+// An update that only stores PageRank scores: our own write, nothing to rebuild.
+function onlyPageRankUpdate(ev) {
+  const desc = ev.updateDescription;
+  if (ev.operationType !== "update" || !desc) return false;
+  return (desc.removedFields || []).length === 0 &&
+    Object.keys(desc.updatedFields || {}).every((f) => PAGERANK_PAGE_FIELDS.has(f));
+}
+
+/**
+ * Rebuild cached datasets when their pages change in MongoDB (writes by another
+ * process, a restore, manual edits). Change streams need a replica set; on a
+ * standalone server this logs once and POST /datasets/:name/reload does the job.
+ * Writes this server makes itself are skipped: PageRank scores stored on pages, and
+ * pages written by a running crawl job (which rebuilds when it ends).
+ */
+function watchPageChanges() {
+  const timers = new Map();
+  const schedule = (name) => {
+    if (!datasetCache.has(name)) return; // not loaded yet: the first warm reads the new pages
+    if (runningCrawlJob(name) || runningReindexJob(name)) return; // the job rebuilds when it finishes
+    clearTimeout(timers.get(name));
+    timers.set(name, setTimeout(() => {
+      timers.delete(name);
+      rebuildDataset(name);
+    }, PAGE_CHANGE_SETTLE_MS));
+  };
+
+  const stream = pagesCol().watch(
+    [{ $project: { operationType: 1, "fullDocument.dataset": 1, updateDescription: 1 } }],
+    { fullDocument: "updateLookup" }
+  );
+  stream.on("change", (ev) => {
+    if (onlyPageRankUpdate(ev)) return;
+    const name = ev.fullDocument?.dataset;
+    // deletes carry no document, so any cached dataset may be affected
+    if (name) schedule(name);
+    else if (ev.operationType === "delete") for (const n of datasetCache.keys()) schedule(n);
+  });
+  stream.on("error", (e) => {
+    console.warn(`Not watching page changes (${e?.message || e}); use POST /datasets/:name/reload after external writes.`);
+    stream.close().catch(() => {});
+  });
+}
+
+// -------------------- Crawl jobs --------------------
+/**
+ * crawlJobs:
+ *  id -> {
+ *    id, dataset, options,
+ *    status: "running" | "cancelling" | "done" | "failed" | "cancelled",
+ *    progress: crawl stats snapshot,
+ *    startedAt, finishedAt, error,
+ *    controller: AbortController
+ *  }
+ */
+const crawlJobs = new Map();
+
+// Finished jobs stay listed until this many newer ones have finished.
+const FINISHED_JOBS_KEPT = 50;
+
+function pruneJobs(jobs) {
+  const finished = [...jobs.values()].filter((j) => j.finishedAt).sort((a, b) => a.finishedAt - b.finishedAt);
+  for (const job of finished.slice(0, -FINISHED_JOBS_KEPT)) jobs.delete(job.id);
+}
+
+// The in-process crawl of `dataset` still in progress, if any.
+function runningCrawlJob(dataset) {
+  return [...crawlJobs.values()].find(
+    (j) => j.dataset === dataset && (j.status === "running" || j.status === "cancelling")
+  );
+}
+
+function crawlJobToJson(job) {
+  const end = job.finishedAt ? job.finishedAt.getTime() : Date.now();
+  return {
+    id: job.id,
+    dataset: job.dataset,
+    options: job.options,
+    status: job.status,
+    pagesFetched: job.progress.fetched ?? 0,
+    errors: job.progress.errors ?? 0,
+    unchanged: job.progress.unchanged ?? 0,
+    robotsBlocked: job.progress.robotsBlocked ?? 0,
+    queueSize: job.progress.queueSize ?? 0,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    elapsedMs: end - job.startedAt.getTime(),
+    error: job.error,
+    links: { self: `/crawls/${job.id}` },
+  };
+}
+
+function startCrawlJob(dataset, options) {
+  const job = {
+    id: crypto.randomUUID(),
+    dataset,
+    options,
+    status: "running",
+    progress: {},
+    startedAt: new Date(),
+    finishedAt: null,
+    error: null,
+    controller: new AbortController(),
+  };
+  crawlJobs.set(job.id, job);
+
+  crawlDataset(dataset, {
+    ...options,
+    signal: job.controller.signal,
+    onProgress: (stats) => {
+      job.progress = stats;
+    },
+  })
+    .then((stats) => {
+      job.progress = stats;
+      job.status = stats.cancelled ? "cancelled" : "done";
+    })
+    .catch((e) => {
+      console.error(`Crawl job ${job.id} (${dataset}) failed:`, e);
+      job.status = "failed";
+      job.error = String(e?.message || e);
+    })
+    .finally(() => {
+      job.finishedAt = new Date();
+      pruneJobs(crawlJobs);
+      // pick up whatever the crawl managed to store, even if it was cut short
+      if (job.status !== "failed") rebuildDataset(dataset);
+    });
+
+  return job;
+}
+
+/**
+ * reindexJobs: id -> { id, dataset, status: "running" | "done" | "failed", pages, startedAt, finishedAt, error }
+ * Rewriting every page's terms can take a while, so POST /datasets/:name/reindex runs it here.
+ */
+const reindexJobs = new Map();
+
+function runningReindexJob(dataset) {
+  return [...reindexJobs.values()].find((j) => j.dataset === dataset && j.status === "running");
+}
+
+function reindexJobToJson(job) {
+  const end = job.finishedAt ? job.finishedAt.getTime() : Date.now();
+  return {
+    id: job.id,
+    dataset: job.dataset,
+    status: job.status,
+    pages: job.pages,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    elapsedMs: end - job.startedAt.getTime(),
+    error: job.error,
+    links: { self: `/reindexes/${job.id}` },
+  };
+}
+
+function startReindexJob(dataset) {
+  const job = {
+    id: crypto.randomUUID(),
+    dataset,
+    status: "running",
+    pages: null,
+    startedAt: new Date(),
+    finishedAt: null,
+    error: null,
+  };
+  reindexJobs.set(job.id, job);
+
+  reindexDataset(dataset)
+    .then((pages) => {
+      job.pages = pages;
+      job.status = "done";
+    })
+    .catch((e) => {
+      console.error(`Reindex job ${job.id} (${dataset}) failed:`, e);
+      job.status = "failed";
+      job.error = String(e?.message || e);
+    })
+    .finally(() => {
+      job.finishedAt = new Date();
+      pruneJobs(reindexJobs);
+      // pages rewritten before a failure are searchable too
+      rebuildDataset(dataset);
+    });
+
+  return job;
+}
+
 // -------------------- Search handler (fast, <1s) --------------------
+function pageRankOf(st, p) {
+  return typeof p.pr === "number" ? p.pr : (st.prMap.get(p.url) ?? 0);
+}
+
+// -------------------- Link signals --------------------
+const PERSONALIZED_CACHE_SIZE = 10;
+
+// The snapshot's link graph. PageRank leaves it behind when it runs; a reused stored run does not.
+function getLinkGraph(datasetName, st) {
+  if (st.graph) return Promise.resolve(st.graph);
+  if (!st.graphPromise) {
+    st.graphPromise = linksCol()
+      .find({ dataset: datasetName }, { projection: { from: 1, to: 1, _id: 0 } })
+      .toArray()
+      .then((links) => {
+        st.graph = buildLinkGraph(st.pages.map((p) => p.url), links);
+        return st.graph;
+      })
+      .finally(() => {
+        st.graphPromise = null;
+      });
+  }
+  return st.graphPromise;
+}
+
+/**
+ * PageRank teleporting to `teleport` ({ path, seeds }), cached per snapshot.
+ * Returns { pr, iterations, delta, stats, teleportPages } or null if no page is in the set.
+ */
+async function personalizedPageRank(datasetName, st, teleport) {
+  const key = JSON.stringify([teleport.path, teleport.seeds]);
+  const cached = st.personalized.get(key);
+  if (cached) {
+    st.personalized.delete(key);
+    st.personalized.set(key, cached);
+    return cached;
+  }
+
+  const vector = teleportVector(st.pages, teleport);
+  if (!vector) return null;
+  const graph = await getLinkGraph(datasetName, st);
+  const run = pageRankScores(graph.out, st.pagerankParams, vector);
+  const entry = { ...run, stats: rankStats(run.pr), teleportPages: vector.filter((x) => x > 0).length };
+
+  st.personalized.set(key, entry);
+  if (st.personalized.size > PERSONALIZED_CACHE_SIZE) st.personalized.delete(st.personalized.keys().next().value);
+  return entry;
+}
+
+/**
+ * Turn a parsed ?linkSignal= into what scoreDataset blends with: a function from the
+ * text-scored hits to { of(d), maxPr, N, rankOf(d) }. HITS needs those hits (its root
+ * set is the best text matches); personalized PageRank covers the whole dataset.
+ * Returns { link } (null for plain PageRank) or { error }.
+ */
+async function prepareLinkSignal(datasetName, st, spec) {
+  if (!spec) return { link: null };
+
+  if (spec.name === "personalized") {
+    const run = await personalizedPageRank(datasetName, st, spec);
+    if (!run) return { error: "No page of the dataset is in the teleport set." };
+    const signal = { of: (d) => run.pr[d], maxPr: run.stats.maxPr, N: run.stats.N, rankOf: (d) => run.stats.rank[d] };
+    return { link: () => signal };
+  }
+
+  const graph = await getLinkGraph(datasetName, st);
+  return {
+    link: (scored) => {
+      const root = [...scored].sort((a, b) => b.score - a.score).map((it) => it.d);
+      const values = hitsScores(graph, root)[spec.name];
+      const stats = rankStats(scored.map((it) => values.get(it.d) ?? 0));
+      const position = new Map(scored.map((it, i) => [it.d, i]));
+      return {
+        of: (d) => values.get(d) ?? 0,
+        maxPr: stats.maxPr,
+        N: stats.N,
+        rankOf: (d) => (position.has(d) ? stats.rank[position.get(d)] : stats.N),
+      };
+    },
+  };
+}
+
+/**
+ * Score the pages of one snapshot for a query's scoring terms: text score, proximity
+ * boost, then the blend with PageRank (or with `link`, see prepareLinkSignal; each
+ * hit then keeps its signal value as `link`). allows(d) says whether page d may be returned.
+ * Returns { scored: [{ d, score, text }], isCandidate }, or null when no term is
+ * indexed and the query does not constrain (nothing matches).
+ */
+function scoreDataset(st, terms, { scorer, weights, blend, allows, constrained, link = null }) {
+  const pages = st.pages;
+  const qf = Object.create(null);
+  for (const w of terms) qf[w] = (qf[w] || 0) + 1;
+
+  const qLen = terms.length;
+
+  let scores = qLen ? scorer.score(st, qf, qLen, weights, scorer.params) : null;
+  if (!scores) {
+    if (!constrained) return null;
+    // nothing to rank by (e.g. only url: or NOT clauses): matching pages score 0
+    scores = { candidates: [], base: new Float64Array(pages.length), isCandidate: new Uint8Array(pages.length) };
+  }
+
+  const { candidates, base: baseScores, isCandidate } = scores;
+  const distinctTerms = Object.keys(qf);
+
+  const scored = [];
+  for (const d of candidates) {
+    if (!allows(d)) continue;
+    const p = pages[d];
+    const positions = p.termPositions || {};
+
+    let base = baseScores[d];
+
+    // closer together (and more of the query terms present) ranks higher
+    const win = distinctTerms.length > 1 ? minWindow(positions, distinctTerms) : null;
+    if (win) {
+      const closeness = (win.found - 1) / (win.span - 1);
+      base *= 1 + PROXIMITY_BOOST * closeness * (win.found / distinctTerms.length);
+    }
+
+    scored.push({ d, score: base, text: base });
+  }
+
+  if (blend && link) {
+    const signal = link(scored);
+    for (const it of scored) it.link = signal.of(it.d);
+    applyBlend(blend, scored, signal.of, signal);
+  } else if (blend) {
+    const prStats = st.prStats || { maxPr: 0, N: pages.length, rank: null };
+    applyBlend(blend, scored, (d) => pageRankOf(st, pages[d]), {
+      maxPr: prStats.maxPr,
+      N: prStats.N,
+      rankOf: (d) => (prStats.rank ? prStats.rank[d] : prStats.N),
+    });
+  }
+
+  return { scored, isCandidate };
+}
+
+/**
+ * The ranking parameters every search endpoint reads from the query string.
+ * Returns { queryText, blend, linkSpec, limit, snippetCount, weights, scorer, collapse,
+ * autocorrect, filters, filtered } or { error }.
+ */
+function parseSearchParams(query) {
+  // ?phrase=... is an exact phrase; inside q, "quoted phrases" and a NEAR/k b work too
+  const phraseParam = typeof query.phrase === "string" ? query.phrase.replaceAll('"', " ").trim() : "";
+  const queryText =
+    (typeof query.q === "string" ? query.q : "") ||
+    (phraseParam ? `"${phraseParam}"` : "");
+
+  // ?linkSignal= swaps PageRank for another link signal in the blend (and turns boosting on)
+  const linkSpec = parseLinkSignal(query);
+  if (linkSpec?.error) return { error: linkSpec.error };
+  const blend = parseBlend(query, parseBoost(query.boost) || linkSpec !== null);
+  if (blend?.error) return { error: blend.error };
+  const scorer = parseScorer(query);
+  if (scorer.error) return { error: scorer.error };
+  // facet filters narrow the pages a query can return
+  const facetQuery = parseFacetFilters(query);
+  if (facetQuery.error) return { error: facetQuery.error };
+
+  return {
+    queryText,
+    blend,
+    linkSpec,
+    limit: parseLimit(query.limit),
+    snippetCount: parseSnippetCount(query.snippets),
+    weights: parseWeights(query.weights),
+    scorer,
+    // near-duplicates are folded into one hit unless ?collapse=false
+    collapse: query.collapse !== "false",
+    // misspelled words: always suggest a fix; ?autocorrect=true runs the fixed query instead
+    autocorrect: parseBoost(query.autocorrect),
+    filters: facetQuery.filters,
+    filtered: facetQuery.active,
+  };
+}
+
+// Everything that decides an ordering; offset, limit and snippets only pick from it.
+function rankingKeyOf(params, ...scope) {
+  const { queryText, autocorrect, blend, linkSpec, weights, scorer, collapse, filters } = params;
+  return JSON.stringify([queryText, autocorrect, blend, linkSpec, weights, scorer.name, scorer.params, collapse, filters, ...scope]);
+}
+
+/**
+ * Parse a query for one snapshot. "Did you mean" draws on `spell` (null: no
+ * suggestion); with autocorrect the suggestion is what runs.
+ * Returns { ast, spelling, effectiveQuery, terms, constrained } or parseQuery's { error }.
+ */
+function prepareQuery(st, queryText, { spell = st.spell, autocorrect = false } = {}) {
+  let parsed = parseQuery(queryText, st.analyzer);
+  if (parsed.error) return parsed;
+  const spelling = spell ? suggestQuery(queryText, parsed.ast, st.analyzer, spell) : null;
+  const effectiveQuery = spelling && autocorrect ? spelling.suggestion : queryText;
+  if (effectiveQuery !== queryText) parsed = parseQuery(effectiveQuery, st.analyzer);
+  return {
+    ast: parsed.ast,
+    spelling,
+    effectiveQuery,
+    terms: scoringTerms(parsed.ast),
+    // plain word lists rank every page; anything with operators, fields or phrases filters
+    constrained: !isBagOfWords(parsed.ast),
+  };
+}
+
+// Whether a prepared query gives scoreDataset anything to work with.
+function scorable(query) {
+  return !!query && (query.terms.length > 0 || query.constrained);
+}
+
+/**
+ * Rank one snapshot for a prepared query (see prepareQuery), or list every page when
+ * `query` is null or has no terms to score. A query of only unknown words matches
+ * nothing. `link` comes from prepareLinkSignal.
+ * Returns { ranked, tail, byRank, clusterSize, total, facets, listing }: ranked holds
+ * the scored hits, best per near-duplicate cluster and unsorted (sort or topK them
+ * with byRank); tail the zero-score pages that still match, in the order they follow
+ * (every page when listing); clusterSize the pages behind each cluster, which
+ * duplicates are counted against. total counts matches only.
+ */
+function rankSnapshot(st, query, { scorer, weights, blend, collapse, filters, filtered }, link = null) {
+  const pages = st.pages;
+  const constrained = scorable(query) && query.constrained;
+  const allows = (d) =>
+    (!filtered || passesFilters(pages[d], filters)) && (!constrained || matches(query.ast, pages[d]));
+  const byRank = (a, b) => (b.score - a.score) || pages[a.d].url.localeCompare(pages[b.d].url);
+  const clusterKey = (d) => st.clusterOf.get(pages[d].url) || pages[d].url;
+
+  const listing = !scorable(query);
+  const scores = listing ? null : scoreDataset(st, query.terms, { scorer, weights, blend, allows, constrained, link });
+
+  // Pages that could appear at all (score 0 included); duplicates are counted against these.
+  let clusterSize = st.clusterSize;
+  if ((constrained || filtered) && collapse) {
+    clusterSize = new Map();
+    pages.forEach((p, d) => {
+      if (!allows(d)) return;
+      const key = clusterKey(d);
+      clusterSize.set(key, (clusterSize.get(key) || 0) + 1);
+    });
+  }
+
+  // best hit per cluster, same choice as collapsing the fully sorted list
+  let ranked = scores ? scores.scored : [];
+  const shownClusters = new Set();
+  if (collapse && scores) {
+    const best = new Map();
+    for (const it of ranked) {
+      const key = clusterKey(it.d);
+      const cur = best.get(key);
+      if (!cur || byRank(it, cur) < 0) best.set(key, it);
+    }
+    ranked = [...best.values()];
+    for (const key of best.keys()) shownClusters.add(key);
+  }
+
+  // Zero-score pages a constraining query matched (e.g. url: or NOT only) follow the scored
+  // hits in url order; a plain listing keeps the dataset's own order. Pages a plain word
+  // query does not contain are not results.
+  const tail = [];
+  if (listing || constrained) {
+    for (const d of listing ? pages.keys() : st.urlOrder) {
+      if ((scores && scores.isCandidate[d]) || !allows(d)) continue;
+      if (collapse) {
+        const key = clusterKey(d);
+        if (shownClusters.has(key)) continue;
+        shownClusters.add(key);
+      }
+      tail.push({ d, score: 0 });
+    }
+  }
+
+  // Facets count the same list `total` does, zero-score tail included.
+  const facets = countFacets(ranked.concat(tail).map((it) => pages[it.d]), filters);
+  return { ranked, tail, byRank, clusterSize, total: ranked.length + tail.length, facets, listing };
+}
+
+/**
+ * A hit ({ d, score, text, link }) as results show it. Boosted hits also report the
+ * text score the blend started from (and the link signal's value); collapsed hits
+ * how many near-duplicates they stand for.
+ */
+function hitResult(st, it, { blend, linkSpec, collapse }, clusterSize) {
+  const p = st.pages[it.d];
+  const r = {
+    url: p.url,
+    score: it.score,
+    ...(blend ? { textScore: it.text ?? 0 } : {}),
+    ...(linkSpec ? { linkScore: it.link ?? 0 } : {}),
+    title: safeTitle(p),
+    pr: pageRankOf(st, p),
+  };
+  if (collapse) {
+    const extra = (clusterSize.get(st.clusterOf.get(p.url) || p.url) || 1) - 1;
+    if (extra > 0) r.duplicates = extra;
+  }
+  return r;
+}
+
 function makeSearchHandler(datasetNameOrParam = null) {
   return async (req, res) => {
+    const startedAt = Date.now();
     try {
       const datasetName = datasetNameOrParam ?? req.params.datasetName;
       const st = getDatasetState(datasetName);
 
       // Kick off warm in background if needed; DO NOT await (keeps request fast).
       if (!st.ready) {
+        if (!(await getDataset(datasetName))) {
+          return res.status(404).json({ error: "Dataset not found" });
+        }
         warmDataset(datasetName);
         return res.status(202).json({ result: [], warming: true });
       }
 
-      const queryText =
-        (typeof req.query.q === "string" ? req.query.q : "") ||
-        (typeof req.query.phrase === "string" ? req.query.phrase : "");
+      const params = parseSearchParams(req.query);
+      if (params.error) return res.status(400).json({ error: params.error });
+      const { queryText, blend, linkSpec, limit, snippetCount, scorer, autocorrect } = params;
+      let spelling = null;
 
-      const boost = parseBoost(req.query.boost);
-      const limit = parseLimit(req.query.limit);
+      const rankingKey = rankingKeyOf(params);
+      const paging = parsePage(req.query, rankingKey, st.version);
+      if (paging.error) return res.status(paging.status).json({ error: paging.error });
+      const { offset } = paging;
+
+      const pageLink = (start) => {
+        const qs = new URLSearchParams();
+        for (const [k, v] of Object.entries(req.query)) {
+          if (typeof v === "string" && k !== "offset" && k !== "cursor") qs.set(k, v);
+        }
+        qs.set("cursor", makeCursor(start, rankingKey, st.version));
+        return `/${encodeURIComponent(datasetName)}?${qs.toString()}`;
+      };
+
+      // Every served search is logged; the id lets click redirects point back to it.
+      const reply = (result, total, facets) => {
+        const searchId = new ObjectId();
+        logSearch({
+          id: searchId,
+          dataset: datasetName,
+          query: queryText,
+          params: req.query,
+          offset,
+          limit,
+          total,
+          results: result.map((r) => r.url),
+          latencyMs: Date.now() - startedAt,
+        }).catch((e) => console.error("Search log failed:", e));
+
+        return res.json({
+          searchId,
+          result,
+          total,
+          facets,
+          offset,
+          limit,
+          next: offset + limit < total ? pageLink(offset + limit) : null,
+          prev: offset > 0 ? pageLink(Math.max(0, Math.min(offset, total) - limit)) : null,
+          scorer: { name: scorer.name, params: scorer.params },
+          ...(blend ? { blend } : {}),
+          ...(linkSpec ? { linkSignal: linkSpec } : {}),
+          ...(spelling
+            ? { suggestion: spelling.suggestion, corrections: spelling.corrections, ...(autocorrect ? { autocorrected: true } : {}) }
+            : {}),
+          ...(st.staleTerms ? { needsReindex: true } : {}),
+          snapshot: snapshotInfo(st),
+        });
+      };
 
       const pages = st.pages || [];
       if (!pages.length) {
         return res.status(404).json({ error: "Dataset not found" });
       }
 
-      const getPr = (p) => (typeof p.pr === "number" ? p.pr : (st.prMap.get(p.url) ?? 0));
+      // No usable query: every page (within the filters), score 0. Only unknown words: no hits, just the suggestion.
+      let query = null;
+      if (queryText.trim()) {
+        query = prepareQuery(st, queryText, { autocorrect });
+        if (query.error) {
+          return res.status(400).json({ error: "Invalid query", query: queryText, ...query.error });
+        }
+        spelling = query.spelling;
+      }
 
-      const returnAny = () => {
-        const out = pages.slice(0, limit).map((p) => ({
-          url: p.url,
-          score: 0,
-          title: safeTitle(p),
-          pr: getPr(p),
-        }));
-        return res.json({ result: out });
+      const sendPage = async (hits, { total, clusterSize, facets, listing }) => {
+        const out = hits.map((it) => hitResult(st, it, params, clusterSize));
+        // a plain listing has nothing to quote
+        await attachSnippets(datasetName, out, query?.terms ?? [], st.analyzer, listing ? 0 : snippetCount);
+        return reply(out, total, facets);
       };
 
-      if (!queryText || !queryText.trim().length) return returnAny();
-
-      const rawQueryWords = queryText.toLowerCase().split(/\W+/).filter(Boolean);
-      if (!rawQueryWords.length) return returnAny();
-
-      const qf = Object.create(null);
-      for (const w of rawQueryWords) qf[w] = (qf[w] || 0) + 1;
+      // plain queries that hit the vocabulary count toward autocomplete popularity
+      if (offset === 0 && query && !query.constrained && query.terms.some((t) => st.spell.df.has(t))) {
+        recordQuery(datasetName, queryKey(query.effectiveQuery, st.analyzer));
+      }
 
-      const vocab = Object.keys(qf).filter((w) => (st.idf[w] || 0) > 0);
-      if (!vocab.length) return returnAny();
+      const cached = st.rankings.get(rankingKey);
+      if (cached) {
+        rememberRanking(st, rankingKey, cached);
+        return sendPage(cached.hits.slice(offset, offset + limit), cached);
+      }
 
-      const qLen = rawQueryWords.length;
+      const signal = scorable(query) ? await prepareLinkSignal(datasetName, st, linkSpec) : { link: null };
+      if (signal.error) return res.status(400).json({ error: signal.error });
+      const ranking = rankSnapshot(st, query, params, signal.link);
+      const { ranked, tail, byRank } = ranking;
 
-      // query vector + magnitude
-      const qVec = new Array(vocab.length);
-      let qMag2 = 0;
-      for (let i = 0; i < vocab.length; i++) {
-        const w = vocab[i];
-        const tf = qf[w] / qLen;
-        const tfidf = Math.log2(1 + tf) * st.idf[w];
-        qVec[i] = tfidf;
-        qMag2 += tfidf * tfidf;
+      // First page: a heap is enough. Deeper pages sort everything once and keep it.
+      if (offset === 0) {
+        const head = topK(ranked, limit, byRank);
+        return sendPage(head.concat(tail.slice(0, limit - head.length)), ranking);
       }
-      const qMag = Math.sqrt(qMag2);
 
-      const results = [];
-      for (const p of pages) {
-        let dot = 0;
-        let pMag2 = 0;
+      const { total, clusterSize, facets, listing } = ranking;
+      const kept = { hits: ranked.sort(byRank).concat(tail), total, clusterSize, facets, listing };
+      rememberRanking(st, rankingKey, kept);
+      return sendPage(kept.hits.slice(offset, offset + limit), kept);
+    } catch (err) {
+      console.error("Search error:", err);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+  };
+}
 
-        const tfMap = p.termFreq || {};
-        const wc = p.wordCount || 0;
+// -------------------- Federated search --------------------
+let federatedSpell = { key: null, index: null };
 
-        for (let i = 0; i < vocab.length; i++) {
-          const w = vocab[i];
-          const freq = tfMap[w] || 0;
-          const tf = wc > 0 ? freq / wc : 0;
-          const tfidf = Math.log2(1 + tf) * st.idf[w];
+/**
+ * One spelling index over the vocabularies of several snapshots (document
+ * frequencies added up), kept for the last set of snapshots asked for.
+ */
+function federatedSpellIndex(states) {
+  const key = states.map(({ name, st }) => `${name}@${st.version}`).join(",");
+  if (federatedSpell.key !== key) {
+    const df = new Map();
+    for (const { st } of states) {
+      for (const [w, n] of st.spell?.df ?? []) df.set(w, (df.get(w) || 0) + n);
+    }
+    federatedSpell = { key, index: buildSpellIndex(df) };
+  }
+  return federatedSpell.index;
+}
 
-          dot += tfidf * qVec[i];
-          pMag2 += tfidf * tfidf;
+/**
+ * GET /search?q=...&datasets=a,b (all datasets by default): one query run against
+ * each dataset's own snapshot (rankSnapshot, as single-dataset search does), scores
+ * normalized per dataset (federation.js), then merged. Spelling suggestions draw on
+ * every searched dataset's vocabulary; facets count the merged list. Only pages the
+ * query matches are listed. Datasets still loading are skipped and named in `warming`.
+ */
+async function federatedSearch(req, res) {
+  const startedAt = Date.now();
+  try {
+    const fed = parseFederation(req.query);
+    if (fed.error) return res.status(400).json({ error: fed.error });
+
+    const known = new Set((await listDatasets()).map((d) => d.name));
+    const names = fed.names ?? [...known];
+    const unknown = names.filter((n) => !known.has(n));
+    if (unknown.length) return res.status(404).json({ error: `Dataset not found: ${unknown.join(", ")}` });
+
+    const params = parseSearchParams(req.query);
+    if (params.error) return res.status(400).json({ error: params.error });
+    const { queryText, blend, linkSpec, limit, snippetCount, scorer, autocorrect } = params;
+    if (!queryText.trim()) return res.status(400).json({ error: "Query parameter 'q' is required." });
+
+    const rankingKey = rankingKeyOf(params, names, fed.normalize);
+    // one version per dataset, as the snapshots stand when the request starts
+    const snapshotKey = names.map((n) => datasetCache.get(n)?.version ?? 0).join(",");
+    const paging = parsePage(req.query, rankingKey, snapshotKey);
+    if (paging.error) return res.status(paging.status).json({ error: paging.error });
+    const { offset } = paging;
+
+    const pageLink = (start) => {
+      const qs = new URLSearchParams();
+      for (const [k, v] of Object.entries(req.query)) {
+        if (typeof v === "string" && k !== "offset" && k !== "cursor") qs.set(k, v);
+      }
+      qs.set("cursor", makeCursor(start, rankingKey, snapshotKey));
+      return `/search?${qs.toString()}`;
+    };
+
+    const warming = [];
+    const ready = [];
+    for (const name of names) {
+      const st = getDatasetState(name);
+      if (st.ready) ready.push({ name, st });
+      else {
+        warmDataset(name);
+        warming.push(name);
+      }
+    }
+    if (!ready.length) return res.status(202).json({ result: [], warming });
+
+    // "did you mean" over all of them; the (corrected) query then runs everywhere
+    const first = prepareQuery(ready[0].st, queryText, { spell: federatedSpellIndex(ready), autocorrect });
+    if (first.error) return res.status(400).json({ error: "Invalid query", query: queryText, ...first.error });
+    const { spelling, effectiveQuery } = first;
+
+    const searched = [];
+    const lists = [];
+    const teleportErrors = [];
+    let linked = 0;
+    for (const { name, st } of ready) {
+      const query = prepareQuery(st, effectiveQuery, { spell: null });
+      if (query.error) return res.status(400).json({ error: "Invalid query", query: queryText, ...query.error });
+
+      let hits = [];
+      let clusterSize = st.clusterSize;
+      if ((st.pages || []).length && scorable(query)) {
+        // a teleport set usually lies in one dataset; the others get no personalized score
+        const signal = await prepareLinkSignal(name, st, linkSpec);
+        linked++;
+        if (signal.error) teleportErrors.push(signal.error);
+        const link = signal.error ? () => ({ of: () => 0, maxPr: 0, N: st.pages.length, rankOf: () => st.pages.length }) : signal.link;
+        const ranking = rankSnapshot(st, query, params, link);
+        if (!ranking.listing) {
+          hits = ranking.ranked.sort(ranking.byRank).concat(ranking.tail);
         }
+        clusterSize = ranking.clusterSize;
+      }
 
-        const pMag = Math.sqrt(pMag2);
-        const base = (pMag === 0 || qMag === 0) ? 0 : dot / (pMag * qMag);
+      const list = hits.map((it) => ({ ...it, dataset: name, url: st.pages[it.d].url, page: st.pages[it.d], st }));
+      normalizeScores(list, fed.normalize);
+      lists.push(list);
+      searched.push({ name, hits: list.length, snapshot: snapshotInfo(st), terms: query.terms, analyzer: st.analyzer, clusterSize });
+    }
 
-        const pr = getPr(p);
-        const score = boost ? base * (1 + pr) : base;
+    // same answer as a single-dataset search when no searched dataset holds the teleport set
+    if (linked && teleportErrors.length === linked) return res.status(400).json({ error: teleportErrors[0] });
+
+    const merged = mergeResults(lists);
+    const total = merged.length;
+    const facets = countFacets(merged.map((h) => h.page), params.filters);
+    const clusterSizeOf = new Map(searched.map((ds) => [ds.name, ds.clusterSize]));
+    const result = merged.slice(offset, offset + limit).map((h) => ({
+      dataset: h.dataset,
+      ...hitResult(h.st, h, params, clusterSizeOf.get(h.dataset)),
+      score: h.norm,
+      datasetScore: h.score,
+    }));
+
+    // snippets come from each dataset's own pages, analyzed its own way
+    for (const ds of searched) {
+      const own = result.filter((r) => r.dataset === ds.name);
+      await attachSnippets(ds.name, own, ds.terms, ds.analyzer, snippetCount);
+    }
 
-        results.push({
-          url: p.url,
-          score,
-          title: safeTitle(p),
-          pr,
-        });
-      }
+    const searchId = new ObjectId();
+    logSearch({
+      id: searchId,
+      dataset: null,
+      datasets: searched.map((ds) => ds.name),
+      query: queryText,
+      params: req.query,
+      offset,
+      limit,
+      total,
+      results: result.map((r) => r.url),
+      latencyMs: Date.now() - startedAt,
+    }).catch((e) => console.error("Search log failed:", e));
 
-      results.sort((a, b) => (b.score - a.score) || a.url.localeCompare(b.url));
-      return res.json({ result: results.slice(0, limit) });
-    } catch (err) {
-      console.error("Search error:", err);
-      return res.status(500).json({ error: "Internal server error" });
-    }
-  };
+    return res.json({
+      searchId,
+      result,
+      total,
+      facets,
+      offset,
+      limit,
+      next: offset + limit < total ? pageLink(offset + limit) : null,
+      prev: offset > 0 ? pageLink(Math.max(0, Math.min(offset, total) - limit)) : null,
+      normalize: fed.normalize,
+      scorer: { name: scorer.name, params: scorer.params },
+      ...(blend ? { blend } : {}),
+      ...(linkSpec ? { linkSignal: linkSpec } : {}),
+      ...(spelling
+        ? { suggestion: spelling.suggestion, corrections: spelling.corrections, ...(autocorrect ? { autocorrected: true } : {}) }
+        : {}),
+      datasets: searched.map(({ name, hits, snapshot }) => ({ name, hits, snapshot })),
+      ...(warming.length ? { warming } : {}),
+    });
+  } catch (err) {
+    console.error("Federated search error:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
 }
 
 // -------------------- Routes --------------------
@@ -632,6 +1723,246 @@ app.get("/orders/:id", async (req, res) => {
   }
 });
 
+// -------------------- Routes: crawls --------------------
+app.post("/crawls", async (req, res) => {
+  const { dataset, incremental = false, resume = false, sitemaps = false } = req.body ?? {};
+
+  if (typeof dataset !== "string" || dataset.trim().length === 0) {
+    return res.status(400).json({ error: "Field 'dataset' must be a non-empty string." });
+  }
+  if (!(await getDataset(dataset))) {
+    return res.status(404).json({ error: `Unknown dataset: ${dataset}` });
+  }
+  if ([incremental, resume, sitemaps].some((v) => typeof v !== "boolean")) {
+    return res.status(400).json({ error: "Fields 'incremental', 'resume' and 'sitemaps' must be booleans." });
+  }
+
+  const running = runningCrawlJob(dataset);
+  if (running) {
+    return res.status(409).json({
+      error: `A crawl of '${dataset}' is already running.`,
+      links: { self: `/crawls/${running.id}` },
+    });
+  }
+
+  const job = startCrawlJob(dataset, { incremental, resume, sitemaps });
+  return res.status(202).set("Location", `/crawls/${job.id}`).json(crawlJobToJson(job));
+});
+
+app.get("/crawls", (req, res) => {
+  const jobs = [...crawlJobs.values()].sort((a, b) => b.startedAt - a.startedAt);
+  return res.json(jobs.map(crawlJobToJson));
+});
+
+app.get("/crawls/:id", (req, res) => {
+  const job = crawlJobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: "Crawl not found." });
+  return res.json(crawlJobToJson(job));
+});
+
+app.delete("/crawls/:id", (req, res) => {
+  const job = crawlJobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: "Crawl not found." });
+
+  if (job.status === "running") {
+    job.status = "cancelling";
+    job.controller.abort();
+  }
+  return res.status(202).json(crawlJobToJson(job));
+});
+
+// -------------------- Routes: datasets --------------------
+app.get("/datasets", async (req, res) => {
+  const datasets = await listDatasets();
+  return res.json(datasets.map((d) => ({ ...d, links: { self: `/datasets/${d.name}`, search: `/${d.name}` } })));
+});
+
+app.get("/datasets/:name", async (req, res) => {
+  const def = await getDataset(req.params.name);
+  if (!def) return res.status(404).json({ error: "Dataset not found." });
+  return res.json(def);
+});
+
+app.post("/datasets", async (req, res) => {
+  const err = validateDataset(req.body);
+  if (err) return res.status(400).json({ error: err });
+
+  const def = withDefaults(req.body);
+  try {
+    await datasetsCol().insertOne({ ...def });
+  } catch (e) {
+    if (String(e?.message || "").includes("E11000")) {
+      return res.status(409).json({ error: `Dataset '${def.name}' already exists.` });
+    }
+    throw e;
+  }
+
+  return res.status(201).set("Location", `/datasets/${def.name}`).json(def);
+});
+
+app.put("/datasets/:name", async (req, res) => {
+  const name = req.params.name;
+  const err = validateDataset(req.body, { requireName: false });
+  if (err) return res.status(400).json({ error: err });
+
+  const prev = await getDataset(name);
+  if (!prev) return res.status(404).json({ error: "Dataset not found." });
+
+  const def = withDefaults({ ...req.body, name });
+
+  // Stored term frequencies no longer match the new analyzer. Until a reindex rewrites
+  // them, searches keep analyzing queries the way the pages were indexed.
+  const indexed = prev.indexedAnalyzer ?? prev.analyzer;
+  const needsReindex = analyzerKey(indexed) !== analyzerKey(def.analyzer);
+  await datasetsCol().replaceOne({ name }, needsReindex ? { ...def, indexedAnalyzer: indexed } : def);
+  if (needsReindex) {
+    await pagesCol().updateMany({ dataset: name }, { $set: { needsReindex: true } });
+  }
+  if (JSON.stringify(prev.pagerank) !== JSON.stringify(def.pagerank)) rebuildDataset(name);
+
+  return res.json({ ...def, needsReindex });
+});
+
+// Re-analyze stored page text with the dataset's current analyzer in the background, then reload the cache.
+app.post("/datasets/:name/reindex", async (req, res) => {
+  const name = req.params.name;
+  if (!(await getDataset(name))) return res.status(404).json({ error: "Dataset not found." });
+
+  const running = runningReindexJob(name);
+  if (running) {
+    return res.status(409).json({
+      error: `A reindex of '${name}' is already running.`,
+      links: { self: `/reindexes/${running.id}` },
+    });
+  }
+
+  const job = startReindexJob(name);
+  return res.status(202).set("Location", `/reindexes/${job.id}`).json(reindexJobToJson(job));
+});
+
+app.get("/reindexes/:id", (req, res) => {
+  const job = reindexJobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: "Reindex not found." });
+  return res.json(reindexJobToJson(job));
+});
+
+// Rebuild the search snapshot from MongoDB in the background; the current one keeps serving until the swap.
+app.post("/datasets/:name/reload", async (req, res) => {
+  const name = req.params.name;
+  if (!(await getDataset(name))) return res.status(404).json({ error: "Dataset not found." });
+
+  const st = datasetCache.get(name);
+  rebuildDataset(name);
+  return res.status(202).json({
+    dataset: name,
+    rebuilding: true,
+    snapshot: st?.ready ? snapshotInfo(st) : null,
+  });
+});
+
+// ?purge=true also removes the dataset's crawled pages, links and frontier
+app.delete("/datasets/:name", async (req, res) => {
+  const name = req.params.name;
+  const result = await datasetsCol().deleteOne({ name });
+  if (result.deletedCount === 0) return res.status(404).json({ error: "Dataset not found." });
+
+  if (req.query.purge === "true") {
+    await pagesCol().deleteMany({ dataset: name });
+    await linksCol().deleteMany({ dataset: name });
+    await frontierCol().deleteMany({ dataset: name });
+    await deletePageRankRuns(name);
+  }
+  datasetCache.delete(name);
+
+  return res.status(204).end();
+});
+
+// -------------------- Routes: analytics --------------------
+// ?dataset= and ?since= (ISO date) narrow every report
+function parseReportFilter(query) {
+  const dataset = typeof query.dataset === "string" && query.dataset.trim() ? query.dataset.trim() : null;
+  let since = null;
+  if (typeof query.since === "string" && query.since.trim()) {
+    const t = Date.parse(query.since);
+    if (!Number.isFinite(t)) return { error: "Parameter 'since' must be an ISO date." };
+    since = new Date(t);
+  }
+  return { dataset, since };
+}
+
+app.get("/analytics/queries", async (req, res) => {
+  const filter = parseReportFilter(req.query);
+  if (filter.error) return res.status(400).json({ error: filter.error });
+  return res.json({ result: await topQueries(filter, parseLimit(req.query.limit)) });
+});
+
+app.get("/analytics/zero-results", async (req, res) => {
+  const filter = parseReportFilter(req.query);
+  if (filter.error) return res.status(400).json({ error: filter.error });
+  return res.json({ result: await zeroResultQueries(filter, parseLimit(req.query.limit)) });
+});
+
+app.get("/analytics/ctr", async (req, res) => {
+  const filter = parseReportFilter(req.query);
+  if (filter.error) return res.status(400).json({ error: filter.error });
+  const maxPosition = typeof req.query.maxPosition === "string" && req.query.maxPosition ? parseLimit(req.query.maxPosition) : 10;
+  return res.json({ result: await ctrByPosition(filter, maxPosition) });
+});
+
+// Result links go through here: record the click, then redirect to the page.
+// Only URLs the search actually returned (or pages of the dataset) are redirected to.
+app.get("/:datasetName/click", async (req, res) => {
+  const datasetName = req.params.datasetName;
+  const url = typeof req.query.url === "string" ? req.query.url : "";
+  if (!url) return res.status(400).json({ error: "Query parameter 'url' is required." });
+
+  let searchId = null;
+  if (typeof req.query.sid === "string" && ObjectId.isValid(req.query.sid)) searchId = new ObjectId(req.query.sid);
+  const log = searchId ? await findSearch(searchId) : null;
+
+  let position = null;
+  const searched = log && (log.dataset === datasetName || (log.datasets || []).includes(datasetName));
+  if (searched && log.results.includes(url)) {
+    position = log.offset + log.results.indexOf(url) + 1;
+  } else if (await pagesCol().findOne({ dataset: datasetName, url }, { projection: { _id: 1 } })) {
+    const pos = Number(req.query.pos);
+    if (Number.isInteger(pos) && pos > 0) position = pos;
+  } else {
+    return res.status(404).json({ error: "Unknown result URL." });
+  }
+
+  try {
+    await recordClick({ searchId: log ? searchId : null, dataset: datasetName, url, position });
+  } catch (e) {
+    console.error("Click log failed:", e);
+  }
+  return res.redirect(302, url);
+});
+
+// -------------------- Routes: federated search --------------------
+app.get("/search", federatedSearch);
+
+// -------------------- Routes: autocomplete --------------------
+app.get("/:datasetName/suggest", async (req, res) => {
+  const datasetName = req.params.datasetName;
+  const st = getDatasetState(datasetName);
+  if (!st.ready) {
+    if (!(await getDataset(datasetName))) return res.status(404).json({ error: "Dataset not found" });
+    warmDataset(datasetName);
+    return res.status(202).json({ result: [], warming: true });
+  }
+
+  const prefix = typeof req.query.prefix === "string" ? req.query.prefix : "";
+  if (!prefix.trim()) return res.status(400).json({ error: "Query parameter 'prefix' is required." });
+  const limit = Math.min(parseLimit(req.query.limit), 20);
+
+  const result = complete(st.completions, prefix, {
+    popularity: queryPopularity.get(datasetName),
+    limit,
+  });
+  return res.json({ prefix, result, snapshot: snapshotInfo(st) });
+});
+
 /**
  * 1) GET /:datasetName/popular
  * 2) GET /:datasetName/pages/:pageId
@@ -693,7 +2024,70 @@ app.get("/:datasetName/popular", async (req, res) => {
   }
 });
 
-function pageToHtml(webUrl, incomingLinks, outgoingLinks, wordFrequency, datasetName, title) {
+// -------------------- Related pages --------------------
+const RELATED_IN_PAGE_VIEW = 5;
+
+/**
+ * Pages within two links of `url` (either direction): Map<url, 1 | 2>.
+ */
+async function linkNeighbourhood(datasetName, url) {
+  const distance = new Map();
+  const near = await linksCol()
+    .find({ dataset: datasetName, $or: [{ from: url }, { to: url }] }, { projection: { from: 1, to: 1, _id: 0 } })
+    .toArray();
+  for (const l of near) for (const u of [l.from, l.to]) if (u !== url) distance.set(u, 1);
+  if (!distance.size) return distance;
+
+  const hop1 = [...distance.keys()];
+  const far = await linksCol()
+    .find(
+      { dataset: datasetName, $or: [{ from: { $in: hop1 } }, { to: { $in: hop1 } }] },
+      { projection: { from: 1, to: 1, _id: 0 } }
+    )
+    .toArray();
+  for (const l of far) for (const u of [l.from, l.to]) if (u !== url && !distance.has(u)) distance.set(u, 2);
+  return distance;
+}
+
+/**
+ * Related pages for the page at `url` in a ready snapshot, or null if the snapshot does not have it.
+ */
+async function relatedPages(datasetName, st, url, { limit = 10, linkWeight = 0 } = {}) {
+  const d = st.indexByUrl.get(url);
+  if (d === undefined) return null;
+
+  const linkDistance = linkWeight > 0 ? await linkNeighbourhood(datasetName, url) : new Map();
+  return similarPages(st, d, { limit, linkWeight, linkDistance }).map((it) => {
+    const p = st.pages[it.d];
+    return {
+      url: p.url,
+      title: safeTitle(p),
+      score: it.score,
+      similarity: it.similarity,
+      linkDistance: it.linkDistance,
+      link: p._id
+        ? `/${datasetName}/pages/${p._id.toString()}`
+        : `/${datasetName}/pages/byUrl/${encodeURIComponent(p.url)}`,
+    };
+  });
+}
+
+// Whether a page route's res.format picks its HTML view (same negotiation, JSON listed first).
+function wantsHtml(req) {
+  return req.accepts(["application/json", "text/html"]) === "text/html";
+}
+
+// Related pages for the HTML page view; empty while the dataset is still loading.
+async function relatedForView(datasetName, url) {
+  const st = getDatasetState(datasetName);
+  if (!st.ready) {
+    warmDataset(datasetName);
+    return [];
+  }
+  return (await relatedPages(datasetName, st, url, { limit: RELATED_IN_PAGE_VIEW })) || [];
+}
+
+function pageToHtml(webUrl, incomingLinks, outgoingLinks, wordFrequency, datasetName, title, related = []) {
   const displayTitle = (title && title.trim()) || (() => {
     try {
       const parts = new URL(webUrl).pathname.split("/").filter(Boolean);
@@ -714,6 +2108,12 @@ function pageToHtml(webUrl, incomingLinks, outgoingLinks, wordFrequency, dataset
     ? outgoingLinks.map((l) => `<li><a href="${escapeHtml(l)}">${escapeHtml(l)}</a></li>`).join("")
     : "<li><i>None</i></li>";
 
+  const relatedItems = related.length
+    ? related
+      .map((r) => `<li><a href="${escapeHtml(r.link)}">${escapeHtml(r.title || r.url)}</a> (${r.score.toFixed(3)})</li>`)
+      .join("")
+    : "<li><i>None</i></li>";
+
   return `<!doctype html>
 <html>
 <head>
@@ -739,6 +2139,9 @@ function pageToHtml(webUrl, incomingLinks, outgoingLinks, wordFrequency, dataset
     <h2>Outgoing Links</h2>
     <ul>${outgoingItems}</ul>
 
+    <h2>Related Pages</h2>
+    <ul>${relatedItems}</ul>
+
     <h2>Word Frequency</h2>
     <ul>${wordRows || "<li><i>No words indexed.</i></li>"}</ul>
 
@@ -783,10 +2186,13 @@ app.get("/:datasetName/pages/:pageId", async (req, res) => {
     const outgoingLinks = page.outLinks || [];
     const wordFrequency = page.termFreq || {};
 
+    // only the HTML view lists related pages
+    const related = wantsHtml(req) ? await relatedForView(datasetName, page.url) : [];
+
     return res.format({
       "application/json": () => res.json({ webUrl: page.url, incomingLinks, outgoingLinks, wordFrequency }),
       "text/html": () =>
-        res.type("html").send(pageToHtml(page.url, incomingLinks, outgoingLinks, wordFrequency, datasetName, page.title)),
+        res.type("html").send(pageToHtml(page.url, incomingLinks, outgoingLinks, wordFrequency, datasetName, page.title, related)),
       default: () => res.status(406).send("Not Acceptable"),
     });
   } catch (err) {
@@ -795,6 +2201,44 @@ app.get("/:datasetName/pages/:pageId", async (req, res) => {
   }
 });
 
+// "More like this": other pages ranked by body term similarity, optionally mixed with link proximity
+app.get("/:datasetName/pages/:pageId/similar", async (req, res) => {
+  const datasetName = req.params.datasetName;
+  const pageId = req.params.pageId;
+
+  try {
+    if (!ObjectId.isValid(pageId)) {
+      return res.status(400).json({ error: "Invalid page id." });
+    }
+    const linkWeight = parseLinkWeight(req.query.linkWeight);
+    if (linkWeight.error) return res.status(400).json({ error: linkWeight.error });
+    const limit = parseLimit(req.query.limit);
+
+    const page = await pagesCol().findOne(
+      { _id: new ObjectId(pageId), dataset: datasetName },
+      { projection: { url: 1 } }
+    );
+    if (!page) {
+      return res.status(404).json({ error: "Page not found." });
+    }
+
+    const st = getDatasetState(datasetName);
+    if (!st.ready) {
+      warmDataset(datasetName);
+      return res.status(202).json({ result: [], warming: true });
+    }
+
+    const result = await relatedPages(datasetName, st, page.url, { limit, linkWeight: linkWeight.value });
+    // stored but not searchable (not fetched with status 200, or newer than the snapshot)
+    if (!result) return res.status(404).json({ error: "Page is not in the search index." });
+
+    return res.json({ webUrl: page.url, linkWeight: linkWeight.value, result, snapshot: snapshotInfo(st) });
+  } catch (err) {
+    console.error("Error in /pages/:pageId/similar:", err);
+    return res.status(500).json({ error: "Failed to find similar pages." });
+  }
+});
+
 // Optional fallback by URL
 app.get("/:datasetName/pages/byUrl/:encodedUrl", async (req, res) => {
   const datasetName = req.params.datasetName;
@@ -814,10 +2258,13 @@ app.get("/:datasetName/pages/byUrl/:encodedUrl", async (req, res) => {
     const outgoingLinks = page?.outLinks || [];
     const wordFrequency = page?.termFreq || {};
 
+    // only the HTML view lists related pages
+    const related = page && wantsHtml(req) ? await relatedForView(datasetName, webUrl) : [];
+
     return res.format({
       "application/json": () => res.json({ webUrl, incomingLinks, outgoingLinks, wordFrequency }),
       "text/html": () =>
-        res.type("html").send(pageToHtml(webUrl, incomingLinks, outgoingLinks, wordFrequency, datasetName, page?.title)),
+        res.type("html").send(pageToHtml(webUrl, incomingLinks, outgoingLinks, wordFrequency, datasetName, page?.title, related)),
       default: () => res.status(406).send("Not Acceptable"),
     });
   } catch (err) {
@@ -851,27 +2298,144 @@ app.get("/pageranks", async (req, res) => {
     const score = st.prMap.get(url);
     if (score === undefined) return res.status(404).type("text/plain").send("URL not found");
 
-    return res.type("text/plain").send(String(score));
+    return res.type("text/plain").set("X-Snapshot-Version", String(st.version)).send(String(score));
   } catch (err) {
     console.error("Pagerank error:", err);
     return res.status(500).type("text/plain").send("Internal server error");
   }
 });
 
-// Search routes
-app.get("/fruitsA", makeSearchHandler("fruitsA"));
-app.get("/personal", makeSearchHandler("personal"));
+// A URL's PageRank score and rank in each stored run, newest first.
+app.get("/pageranks/history", async (req, res) => {
+  try {
+    const url = typeof req.query.url === "string" ? req.query.url.trim() : "";
+    if (!url) return res.status(400).json({ error: "Query parameter 'url' is required." });
+
+    const page = await pagesCol().findOne({ url }, { projection: { dataset: 1 } });
+    if (!page) return res.status(404).json({ error: "URL not found" });
+
+    const result = await rankHistory(page.dataset, url, parseLimit(req.query.limit));
+    return res.json({ url, dataset: page.dataset, result });
+  } catch (err) {
+    console.error("Pagerank history error:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Ready snapshot for ?dataset= on the link-signal endpoints, or a response already sent.
+async function readyDataset(req, res) {
+  const datasetName = typeof req.query.dataset === "string" ? req.query.dataset.trim() : "";
+  if (!datasetName) {
+    res.status(400).json({ error: "Query parameter 'dataset' is required." });
+    return null;
+  }
+  const st = getDatasetState(datasetName);
+  if (!st.ready) {
+    if (!(await getDataset(datasetName))) {
+      res.status(404).json({ error: "Dataset not found" });
+      return null;
+    }
+    warmDataset(datasetName);
+    res.status(202).json({ result: [], warming: true });
+    return null;
+  }
+  return { datasetName, st };
+}
+
+// Topic-sensitive PageRank: top pages when teleporting only to ?teleportPath= / ?teleportSeeds=.
+app.get("/pageranks/personalized", async (req, res) => {
+  try {
+    const teleport = parseTeleport(req.query);
+    if (teleport.error) return res.status(400).json({ error: teleport.error });
+    const ready = await readyDataset(req, res);
+    if (!ready) return;
+    const { datasetName, st } = ready;
+
+    const run = await personalizedPageRank(datasetName, st, teleport);
+    if (!run) return res.status(404).json({ error: "No page of the dataset is in the teleport set." });
+
+    const limit = parseLimit(req.query.limit);
+    const byScore = (a, b) => (run.pr[b] - run.pr[a]) || st.pages[a].url.localeCompare(st.pages[b].url);
+    const order = topK(st.pages.map((_, d) => d), limit, byScore);
+    return res.json({
+      dataset: datasetName,
+      teleport,
+      teleportPages: run.teleportPages,
+      iterations: run.iterations,
+      delta: run.delta,
+      result: order.map((d) => ({
+        url: st.pages[d].url,
+        title: safeTitle(st.pages[d]),
+        score: run.pr[d],
+        rank: run.stats.rank[d],
+        pr: pageRankOf(st, st.pages[d]),
+      })),
+      snapshot: snapshotInfo(st),
+    });
+  } catch (err) {
+    console.error("Personalized pagerank error:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// HITS on a query's result neighbourhood: top authorities and hubs. The root set is
+// ranked the way search ranks it (scorer, weights, collapse and facet filters), without a blend.
+app.get("/hits", async (req, res) => {
+  try {
+    const params = parseSearchParams(req.query);
+    if (params.error) return res.status(400).json({ error: params.error });
+    const { queryText, limit } = params;
+    if (!queryText.trim()) return res.status(400).json({ error: "Query parameter 'q' is required." });
+    const ready = await readyDataset(req, res);
+    if (!ready) return;
+    const { datasetName, st } = ready;
+    const pages = st.pages;
+
+    const query = prepareQuery(st, queryText, { spell: null });
+    if (query.error) return res.status(400).json({ error: "Invalid query", query: queryText, ...query.error });
+    const ranking = pages.length ? rankSnapshot(st, query, { ...params, blend: null }) : null;
+    const root = ranking && !ranking.listing ? ranking.ranked.sort(ranking.byRank).map((it) => it.d) : [];
+
+    const graph = await getLinkGraph(datasetName, st);
+    const h = hitsScores(graph, root);
+    const top = (values) =>
+      [...values]
+        .filter(([, v]) => v > 0)
+        .sort((a, b) => b[1] - a[1] || pages[a[0]].url.localeCompare(pages[b[0]].url))
+        .slice(0, limit)
+        .map(([d, v]) => ({ url: pages[d].url, title: safeTitle(pages[d]), score: v }));
+
+    return res.json({
+      dataset: datasetName,
+      q: queryText,
+      rootSize: h.rootSize,
+      baseSize: h.baseSize,
+      iterations: h.iterations,
+      authorities: top(h.authority),
+      hubs: top(h.hub),
+      snapshot: snapshotInfo(st),
+    });
+  } catch (err) {
+    console.error("HITS error:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Search route (datasets come from the `datasets` collection)
 app.get("/:datasetName", makeSearchHandler(null));
 
 connectDB()
-  .then(() => {
+  .then(() => ensureDefaultDatasets())
+  .then(() => ensureAnalyticsIndexes())
+  .then(() => ensurePageRankIndexes())
+  .then(async () => {
     app.listen(PORT, "0.0.0.0", () => {
       console.log(`Server listening on port ${PORT}`);
     });
 
     // Warm datasets in background (do not block listening)
-    warmDataset("fruitsA");
-    warmDataset("personal");
+    for (const d of await listDatasets()) warmDataset(d.name);
+    watchPageChanges();
   })
   .catch((err) => {
     console.error("Failed to connect to MongoDB:", err);
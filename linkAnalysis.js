@@ -0,0 +1,243 @@
+/**
+ * Link-analysis signals over a dataset's link graph.
+ *
+ *   pagerank      global PageRank, uniform teleport (computed with the snapshot)
+ *   personalized  PageRank whose teleport (and dangling mass) goes only to a seed
+ *                 set: ?teleportSeeds=url1,url2 and/or every page under ?teleportPath=
+ *   authority     HITS authority score on the query's result neighbourhood
+ *   hub           HITS hub score on the same neighbourhood
+ *
+ * Every signal is scaled to sum to 1 over the pages it covers, like PageRank, so
+ * the blends in blending.js treat them alike.
+ */
+
+const { underPath, normalizePath } = require("./facets");
+
+const LINK_SIGNALS = ["pagerank", "personalized", "authority", "hub"];
+
+// HITS neighbourhood: the ROOT_SIZE best text matches, the pages they link to, and up to
+// MAX_IN_LINKS pages linking to each of them.
+const ROOT_SIZE = 200;
+const MAX_IN_LINKS = 50;
+const HITS_MAX_ITERS = 50;
+const HITS_THRESHOLD = 1e-6;
+
+/**
+ * Adjacency over page indexes from { from, to } URL pairs; duplicate edges,
+ * self-links and links leaving the page set are dropped.
+ * Returns { out: number[][], in: number[][] }.
+ */
+function buildLinkGraph(urls, links) {
+  const N = urls.length;
+  const indexByUrl = new Map();
+  for (let i = 0; i < N; i++) indexByUrl.set(urls[i], i);
+
+  const outSets = Array.from({ length: N }, () => new Set());
+  for (const l of links) {
+    const fromIdx = indexByUrl.get(l.from);
+    const toIdx = indexByUrl.get(l.to);
+    if (fromIdx === undefined || toIdx === undefined) continue;
+    if (fromIdx === toIdx) continue;
+    outSets[fromIdx].add(toIdx);
+  }
+
+  const out = outSets.map((s) => Array.from(s));
+  const inLinks = Array.from({ length: N }, () => []);
+  out.forEach((targets, from) => {
+    for (const to of targets) inLinks[to].push(from);
+  });
+  return { out, in: inLinks };
+}
+
+function euclideanDistance(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    const d = a[i] - b[i];
+    sum += d * d;
+  }
+  return Math.sqrt(sum);
+}
+
+/**
+ * Power iteration. params: { alpha, threshold, maxIters }; alpha is the teleport
+ * probability, iteration stops once the L2 change drops below threshold.
+ * teleport: probabilities summing to 1, or null for uniform.
+ * Returns { pr: number[], iterations, delta }.
+ */
+function pageRankScores(out, params, teleport = null) {
+  const N = out.length;
+  const outDeg = out.map((a) => a.length);
+  const { alpha, threshold, maxIters } = params;
+
+  let pr = teleport ? Array.from(teleport) : Array(N).fill(1 / N);
+  let next = Array(N).fill(0);
+  let iterations = 0;
+  let delta = Infinity;
+
+  for (let iter = 0; iter < maxIters; iter++) {
+    let danglingMass = 0;
+    for (let i = 0; i < N; i++) if (outDeg[i] === 0) danglingMass += pr[i];
+
+    // teleport and dangling pages jump to the teleport set
+    if (teleport) {
+      const jump = alpha + (1 - alpha) * danglingMass;
+      for (let i = 0; i < N; i++) next[i] = jump * teleport[i];
+    } else {
+      const base = alpha / N;
+      for (let i = 0; i < N; i++) next[i] = base;
+      const danglingContribution = (1 - alpha) * (danglingMass / N);
+      for (let i = 0; i < N; i++) next[i] += danglingContribution;
+    }
+
+    // normal
+    for (let j = 0; j < N; j++) {
+      const d = outDeg[j];
+      if (d === 0) continue;
+      const share = (1 - alpha) * (pr[j] / d);
+      const neigh = out[j];
+      for (let k = 0; k < neigh.length; k++) next[neigh[k]] += share;
+    }
+
+    const dist = euclideanDistance(pr, next);
+    pr = [...next];
+    iterations = iter + 1;
+    delta = dist;
+    if (dist < threshold) break;
+  }
+
+  return { pr, iterations, delta };
+}
+
+/**
+ * ?linkSignal=, ?teleportPath=, ?teleportSeeds=.
+ * Returns null (plain PageRank), { name, path, seeds } or { error }.
+ */
+function parseLinkSignal(query) {
+  const name = typeof query.linkSignal === "string" ? query.linkSignal.trim().toLowerCase() : "";
+  if (!name || name === "pagerank") return null;
+  if (!LINK_SIGNALS.includes(name)) {
+    return { error: `Unknown linkSignal '${name}'. Use one of: ${LINK_SIGNALS.join(", ")}.` };
+  }
+  if (name !== "personalized") return { name, path: null, seeds: null };
+
+  const teleport = parseTeleport(query);
+  if (teleport.error) return teleport;
+  return { name, ...teleport };
+}
+
+/**
+ * The seed set of a personalized PageRank: { path, seeds } or { error }.
+ */
+function parseTeleport(query) {
+  const path = typeof query.teleportPath === "string" && query.teleportPath.trim()
+    ? normalizePath(query.teleportPath)
+    : null;
+  const seeds = typeof query.teleportSeeds === "string"
+    ? [...new Set(query.teleportSeeds.split(",").map((s) => s.trim()).filter(Boolean))].sort()
+    : [];
+  if (!path && !seeds.length) {
+    return { error: "Personalized PageRank needs 'teleportPath' or 'teleportSeeds'." };
+  }
+  return { path, seeds: seeds.length ? seeds : null };
+}
+
+/**
+ * Uniform over the pages under `path` or listed in `seeds`, or null if none of them is in the dataset.
+ * pages need url and path.
+ */
+function teleportVector(pages, { path, seeds }) {
+  const seedSet = new Set(seeds || []);
+  const inSet = pages.map((p) => seedSet.has(p.url) || (path !== null && underPath(p.path, path)));
+  const count = inSet.filter(Boolean).length;
+  if (!count) return null;
+  return Float64Array.from(inSet, (x) => (x ? 1 / count : 0));
+}
+
+function normalizeL2(v) {
+  let s = 0;
+  for (const x of v) s += x * x;
+  const n = Math.sqrt(s);
+  if (n > 0) for (let i = 0; i < v.length; i++) v[i] /= n;
+}
+
+function normalizeSum(v) {
+  let s = 0;
+  for (const x of v) s += x;
+  if (s > 0) for (let i = 0; i < v.length; i++) v[i] /= s;
+}
+
+/**
+ * HITS on the neighbourhood of `root` (page indexes, best text matches first).
+ * Returns { hub: Map<d, score>, authority: Map<d, score>, rootSize, baseSize, iterations }.
+ */
+function hitsScores(graph, root) {
+  const rootSet = root.slice(0, ROOT_SIZE);
+  const base = new Set(rootSet);
+  for (const d of rootSet) {
+    for (const t of graph.out[d]) base.add(t);
+    for (const s of graph.in[d].slice(0, MAX_IN_LINKS)) base.add(s);
+  }
+
+  const nodes = [...base];
+  const local = new Map(nodes.map((d, i) => [d, i]));
+  const n = nodes.length;
+  const out = nodes.map((d) => graph.out[d].filter((t) => local.has(t)).map((t) => local.get(t)));
+
+  let hub = new Float64Array(n).fill(1);
+  let auth = new Float64Array(n).fill(1);
+  normalizeL2(hub);
+  normalizeL2(auth);
+
+  let iterations = 0;
+  for (let iter = 0; iter < HITS_MAX_ITERS; iter++) {
+    const nextAuth = new Float64Array(n);
+    for (let i = 0; i < n; i++) for (const j of out[i]) nextAuth[j] += hub[i];
+    normalizeL2(nextAuth);
+
+    const nextHub = new Float64Array(n);
+    for (let i = 0; i < n; i++) for (const j of out[i]) nextHub[i] += nextAuth[j];
+    normalizeL2(nextHub);
+
+    const change = euclideanDistance(auth, nextAuth) + euclideanDistance(hub, nextHub);
+    auth = nextAuth;
+    hub = nextHub;
+    iterations = iter + 1;
+    if (change < HITS_THRESHOLD) break;
+  }
+
+  normalizeSum(hub);
+  normalizeSum(auth);
+  return {
+    hub: new Map(nodes.map((d, i) => [d, hub[i]])),
+    authority: new Map(nodes.map((d, i) => [d, auth[i]])),
+    rootSize: rootSet.length,
+    baseSize: n,
+    iterations,
+  };
+}
+
+/**
+ * What the rank-based blends need from a signal: the largest value and each page's
+ * 1-based position (equal values share one).
+ */
+function rankStats(values) {
+  const order = Array.from(values, (_, i) => i).sort((a, b) => values[b] - values[a]);
+  const rank = new Int32Array(values.length);
+  order.forEach((i, pos) => {
+    rank[i] = pos > 0 && values[i] === values[order[pos - 1]] ? rank[order[pos - 1]] : pos + 1;
+  });
+  let maxPr = 0;
+  for (const x of values) if (x > maxPr) maxPr = x;
+  return { maxPr, N: values.length, rank };
+}
+
+module.exports = {
+  LINK_SIGNALS,
+  buildLinkGraph,
+  pageRankScores,
+  parseLinkSignal,
+  parseTeleport,
+  teleportVector,
+  hitsScores,
+  rankStats,
+};
@@ -0,0 +1,128 @@
+const { pagesCol, linksCol, pagerankRunsCol, pagerankScoresCol } = require("./db");
+
+/**
+ * Stored PageRank runs.
+ *
+ * pagerankRuns:   { _id, dataset, params: { alpha, threshold, maxIters }, iterations, delta,
+ *                   pages, links, durationMs, at }
+ * pagerankScores: { runId, dataset, url, pr, rank (1-based, ties share), at }
+ * pages:          pr, prRank and prRunId from the dataset's latest run
+ *
+ * Only the newest MAX_RUNS_KEPT runs per dataset keep their scores.
+ */
+
+const MAX_RUNS_KEPT = 20;
+const WRITE_BATCH = 1000;
+
+async function ensurePageRankIndexes() {
+  await pagerankRunsCol().createIndex({ dataset: 1, at: -1 });
+  await pagerankScoresCol().createIndex({ dataset: 1, url: 1, at: -1 });
+  await pagerankScoresCol().createIndex({ runId: 1 });
+}
+
+function sameParams(a, b) {
+  return !!a && !!b && a.alpha === b.alpha && a.threshold === b.threshold && a.maxIters === b.maxIters;
+}
+
+/**
+ * The latest stored run, if it still describes `pages` (as loaded, with pr, prRunId
+ * and fetchedAt): same settings, same page and link counts, every page scored by it
+ * and none fetched since. Otherwise null and PageRank has to run again.
+ */
+async function reusablePageRankRun(dataset, pages, params) {
+  const run = await pagerankRunsCol().findOne({ dataset }, { sort: { at: -1 } });
+  if (!run || !sameParams(run.params, params) || run.pages !== pages.length) return null;
+
+  for (const p of pages) {
+    if (typeof p.pr !== "number" || !p.prRunId || !run._id.equals(p.prRunId)) return null;
+    if (p.fetchedAt && new Date(p.fetchedAt) > run.at) return null;
+  }
+  if ((await linksCol().countDocuments({ dataset })) !== run.links) return null;
+  return run;
+}
+
+/**
+ * Store a finished run: the run document, one score per page, and the current
+ * score on each page document. ranks[i] is pages[i]'s position. Returns the run.
+ */
+async function savePageRankRun(dataset, { params, iterations, delta, links, durationMs }, pages, prMap, ranks) {
+  const at = new Date();
+  const run = { dataset, params, iterations, delta, pages: pages.length, links, durationMs, at };
+  const { insertedId } = await pagerankRunsCol().insertOne(run);
+  run._id = insertedId;
+
+  for (let start = 0; start < pages.length; start += WRITE_BATCH) {
+    const batch = pages.slice(start, start + WRITE_BATCH);
+    const scores = batch.map((p, i) => ({
+      runId: insertedId, dataset, url: p.url, pr: prMap.get(p.url) ?? 0, rank: ranks[start + i], at,
+    }));
+    await pagerankScoresCol().insertMany(scores, { ordered: false });
+    await pagesCol().bulkWrite(
+      scores.map((s) => ({
+        updateOne: {
+          filter: { dataset, url: s.url },
+          update: { $set: { pr: s.pr, prRank: s.rank, prRunId: insertedId } },
+        },
+      })),
+      { ordered: false }
+    );
+  }
+
+  await pruneRuns(dataset);
+  return run;
+}
+
+async function pruneRuns(dataset) {
+  const old = await pagerankRunsCol()
+    .find({ dataset }, { projection: { _id: 1 } })
+    .sort({ at: -1 })
+    .skip(MAX_RUNS_KEPT)
+    .toArray();
+  if (!old.length) return;
+  const ids = old.map((r) => r._id);
+  await pagerankScoresCol().deleteMany({ runId: { $in: ids } });
+  await pagerankRunsCol().deleteMany({ _id: { $in: ids } });
+}
+
+/**
+ * A URL's score and rank in each stored run of its dataset, newest first.
+ */
+async function rankHistory(dataset, url, limit) {
+  const scores = await pagerankScoresCol()
+    .find({ dataset, url }, { projection: { _id: 0, runId: 1, pr: 1, rank: 1, at: 1 } })
+    .sort({ at: -1 })
+    .limit(limit)
+    .toArray();
+
+  const runs = await pagerankRunsCol()
+    .find({ _id: { $in: scores.map((s) => s.runId) } })
+    .toArray();
+  const runById = new Map(runs.map((r) => [r._id.toString(), r]));
+
+  return scores.map((s) => {
+    const run = runById.get(s.runId.toString());
+    return {
+      runId: s.runId,
+      at: s.at,
+      pr: s.pr,
+      rank: s.rank,
+      pages: run?.pages ?? null,
+      params: run?.params ?? null,
+      iterations: run?.iterations ?? null,
+      delta: run?.delta ?? null,
+    };
+  });
+}
+
+async function deletePageRankRuns(dataset) {
+  await pagerankScoresCol().deleteMany({ dataset });
+  await pagerankRunsCol().deleteMany({ dataset });
+}
+
+module.exports = {
+  ensurePageRankIndexes,
+  reusablePageRankRun,
+  savePageRankRun,
+  rankHistory,
+  deletePageRankRuns,
+};
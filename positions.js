@@ -0,0 +1,84 @@
+/**
+ * Positional index helpers. A page's `termPositions` maps each body term to the
+ * sorted token offsets where it occurs (offsets in the analyzed token stream).
+ */
+
+function termPositions(tokens) {
+  const out = Object.create(null);
+  for (let i = 0; i < tokens.length; i++) {
+    const t = tokens[i];
+    if (!out[t]) out[t] = [];
+    out[t].push(i);
+  }
+  return out;
+}
+
+// A term's offsets, or null. Stored maps come back from MongoDB as plain objects,
+// so "constructor" and friends must not resolve through the prototype.
+function offsetsOf(positions, t) {
+  return Object.hasOwn(positions, t) ? positions[t] : null;
+}
+
+/**
+ * Do `tokens` occur consecutively, in order?
+ */
+function hasPhrase(positions, tokens) {
+  if (!tokens.length) return true;
+  const lists = tokens.map((t) => offsetsOf(positions, t));
+  if (lists.some((l) => !l || !l.length)) return false;
+
+  const rest = lists.slice(1).map((l) => new Set(l));
+  return lists[0].some((p) => rest.every((set, i) => set.has(p + i + 1)));
+}
+
+/**
+ * Are `a` and `b` at most `k` tokens apart (either order)? NEAR/1 means adjacent.
+ */
+function isNear(positions, a, b, k) {
+  const pa = offsetsOf(positions, a);
+  const pb = offsetsOf(positions, b);
+  if (!pa || !pb) return false;
+
+  // both lists are sorted: walk them together
+  let i = 0;
+  let j = 0;
+  while (i < pa.length && j < pb.length) {
+    const d = pa[i] - pb[j];
+    if (d !== 0 && Math.abs(d) <= k) return true;
+    if (pa[i] < pb[j]) i++;
+    else j++;
+  }
+  return false;
+}
+
+/**
+ * Smallest window (in tokens) containing every term of `terms` that the page has.
+ * Returns { found, span } where span = last - first + 1, or null if fewer than two terms occur.
+ */
+function minWindow(positions, terms) {
+  const present = [...new Set(terms)].filter((t) => offsetsOf(positions, t)?.length);
+  if (present.length < 2) return null;
+
+  const events = [];
+  present.forEach((t, ti) => {
+    for (const p of offsetsOf(positions, t)) events.push([p, ti]);
+  });
+  events.sort((x, y) => x[0] - y[0]);
+
+  const counts = new Array(present.length).fill(0);
+  let covered = 0;
+  let best = Infinity;
+  let lo = 0;
+  for (let hi = 0; hi < events.length; hi++) {
+    if (counts[events[hi][1]]++ === 0) covered++;
+    while (covered === present.length) {
+      best = Math.min(best, events[hi][0] - events[lo][0] + 1);
+      if (--counts[events[lo][1]] === 0) covered--;
+      lo++;
+    }
+  }
+
+  return { found: present.length, span: best };
+}
+
+module.exports = { termPositions, hasPhrase, isNear, minWindow };
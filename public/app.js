@@ -16,11 +16,76 @@ function escapeHtml(str) {
     .replaceAll("'", "&#039;");
 }
 
+// Snippet text with its highlight ranges wrapped in <mark>; every piece is escaped.
+function snippetToHtml(snippet) {
+  let html = "";
+  let at = 0;
+  for (const [start, end] of snippet.highlights || []) {
+    if (start < at) continue;
+    html += escapeHtml(snippet.text.slice(at, start));
+    html += `<mark>${escapeHtml(snippet.text.slice(start, end))}</mark>`;
+    at = end;
+  }
+  return html + escapeHtml(snippet.text.slice(at));
+}
+
 function show(elId, obj) {
   document.getElementById(elId).textContent =
     typeof obj === "string" ? obj : JSON.stringify(obj, null, 2);
 }
 
+// Fill the dataset picker from the server's registry (keeps the static options if that fails)
+(async () => {
+  let datasets = [];
+  try {
+    const out = await readJson(await fetch("/datasets", { headers: { Accept: "application/json" } }));
+    if (out.ok && Array.isArray(out.data)) datasets = out.data;
+  } catch {
+    // server unreachable: nothing to add
+  }
+  if (datasets.length === 0) return;
+
+  const select = document.getElementById("dataset");
+  const current = select.value;
+  select.innerHTML = datasets
+    .map((d) => `<option value="${escapeHtml(d.name)}">${escapeHtml(d.name)}</option>`)
+    .concat(`<option value="*">All datasets</option>`)
+    .join("");
+  if (current === "*" || datasets.some((d) => d.name === current)) select.value = current;
+})();
+
+// Search-as-you-type suggestions for the page search box
+let suggestTimer = null;
+document.getElementById("pageSearch").addEventListener("input", (e) => {
+  clearTimeout(suggestTimer);
+  const prefix = e.target.value;
+  const list = document.getElementById("pageSearchSuggestions");
+  // completions come from one dataset's vocabulary
+  if (!prefix.trim() || document.getElementById("dataset").value === "*") {
+    list.innerHTML = "";
+    return;
+  }
+
+  suggestTimer = setTimeout(async () => {
+    const dataset = document.getElementById("dataset").value;
+    const qs = new URLSearchParams({ prefix, limit: "8" });
+    let result = [];
+    try {
+      const out = await readJson(await fetch(`/${dataset}/suggest?${qs.toString()}`, {
+        headers: { Accept: "application/json" },
+      }));
+      if (out.ok && Array.isArray(out.data?.result)) result = out.data.result;
+    } catch {
+      // no suggestions this time
+    }
+    // the box may have moved on while we waited
+    if (document.getElementById("pageSearch").value !== prefix) return;
+    list.innerHTML = result
+      .map((s) => `<option value="${escapeHtml(s.text)}"></option>`)
+      .join("");
+  }, 150);
+});
+
 //page Search
 document.getElementById("btnPageSearch").addEventListener("click", async () => {
   const dataset = document.getElementById("dataset").value;
@@ -32,7 +97,8 @@ document.getElementById("btnPageSearch").addEventListener("click", async () => {
   if (q) qs.set("q", q);
   if (limit) qs.set("limit", limit);
 
-  const res = await fetch(`/${dataset}?${qs.toString()}`, {
+  // "*" searches every dataset at once
+  const res = await fetch(`${dataset === "*" ? "/search" : `/${dataset}`}?${qs.toString()}`, {
     headers: { Accept: "application/json" },
   });
   const out = await readJson(res);
@@ -50,12 +116,17 @@ document.getElementById("btnPageSearch").addEventListener("click", async () => {
     return;
   }
 
-  container.innerHTML = results.map((r) => {
-    const detailUrl = `/${dataset}/pages/byUrl/${encodeURIComponent(r.url)}`;
+  container.innerHTML = results.map((r, i) => {
+    const hitDataset = r.dataset || dataset;
+    const detailUrl = `/${encodeURIComponent(hitDataset)}/pages/byUrl/${encodeURIComponent(r.url)}`;
+    // opened through the click-tracking redirect
+    const click = new URLSearchParams({ sid: out.data.searchId, pos: String(out.data.offset + i + 1), url: r.url });
     return `<div class="result-card">
   <div class="result-title">${escapeHtml(r.title)}</div>
-  <div class="result-url"><a href="${r.url}" target="_blank">${escapeHtml(r.url)}</a></div>
+  <div class="result-url"><a href="/${encodeURIComponent(hitDataset)}/click?${escapeHtml(click.toString())}" target="_blank">${escapeHtml(r.url)}</a></div>
+  ${(r.snippets || []).map((s) => `<div class="result-snippet">${snippetToHtml(s)}</div>`).join("")}
   <div class="result-meta">
+    ${r.dataset ? `<span>Dataset: <b>${escapeHtml(r.dataset)}</b></span>` : ""}
     <span>Score: <b>${r.score.toFixed(6)}</b></span>
     <span>PageRank: <b>${r.pr.toFixed(6)}</b></span>
     <a class="detail-link" href="${detailUrl}" target="_blank">View Page Details</a>
@@ -0,0 +1,368 @@
+const { analyze } = require("./analyzer");
+const { hasPhrase, isNear } = require("./positions");
+
+/**
+ * Query language for dataset search.
+ *
+ *   apple banana          ranked by both terms; pages with neither are still listed last
+ *   apple AND banana      both;  +apple banana   apple required, banana optional
+ *   apple OR banana       either, and nothing else
+ *   NOT kiwi / -kiwi      exclude
+ *   (apple OR pear) AND NOT kiwi
+ *   "computer science"    exact phrase (body text)
+ *   computer NEAR/3 science
+ *   title:apple  url:scs  headings:"our people"  title:(apple OR pear)
+ *
+ * Precedence: NOT > AND > OR (explicit or implied by adjacency).
+ *
+ * AST nodes:
+ *   { type: "group", should: [], must: [], mustNot: [], explicit? }   OR list with +/- clauses
+ *   { type: "and", children: [] }
+ *   { type: "not", child }
+ *   { type: "term", field, tokens, raw, pos }      several tokens must all be present
+ *   { type: "phrase", field, tokens, raw, pos }    pos: offset of raw in the query text
+ *   { type: "near", a, b, k, raw: [a, b], pos: [a, b] }
+ */
+
+// Fields a term can be restricted to. "url" matches raw text against the page URL.
+const QUERY_FIELDS = ["title", "description", "headings", "alt", "body", "url"];
+const TEXT_FIELDS = QUERY_FIELDS.filter((f) => f !== "url");
+
+class QuerySyntaxError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.name = "QuerySyntaxError";
+    this.position = position;
+  }
+}
+
+function lex(text) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const ch = text[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    if (ch === "(" || ch === ")") {
+      tokens.push({ type: ch, pos: i });
+      i++;
+      continue;
+    }
+
+    if (ch === '"') {
+      const end = text.indexOf('"', i + 1);
+      if (end === -1) throw new QuerySyntaxError("Unterminated quoted phrase.", i);
+      tokens.push({ type: "phrase", value: text.slice(i + 1, end), pos: i });
+      i = end + 1;
+      continue;
+    }
+
+    // + / - only count as operators at the start of a term
+    if ((ch === "+" || ch === "-") && (i === 0 || /[\s(]/.test(text[i - 1]))) {
+      if (i + 1 >= text.length || /[\s)]/.test(text[i + 1])) {
+        throw new QuerySyntaxError(`Expected a term after '${ch}'.`, i);
+      }
+      tokens.push({ type: ch === "+" ? "required" : "excluded", pos: i });
+      i++;
+      continue;
+    }
+
+    let j = i;
+    while (j < text.length && !/[\s()"]/.test(text[j])) j++;
+    const word = text.slice(i, j);
+
+    const near = word.match(/^NEAR\/(\d+)$/);
+    // only known fields: "https://..." or "note:x" are ordinary words
+    const field = word.match(/^([A-Za-z]+):(.*)$/);
+    const isField = field && QUERY_FIELDS.includes(field[1].toLowerCase());
+
+    if (word === "AND" || word === "OR" || word === "NOT") {
+      tokens.push({ type: word, pos: i });
+    } else if (near) {
+      tokens.push({ type: "NEAR", k: Number(near[1]), pos: i });
+    } else if (isField) {
+      const name = field[1].toLowerCase();
+      tokens.push({ type: "field", value: name, pos: i });
+      if (field[2]) tokens.push({ type: "word", value: field[2], pos: i + field[1].length + 1 });
+      else if (j >= text.length || /\s/.test(text[j])) {
+        throw new QuerySyntaxError(`Expected a term after '${field[1]}:'.`, i);
+      }
+    } else {
+      tokens.push({ type: "word", value: word, pos: i });
+    }
+    i = j;
+  }
+
+  tokens.push({ type: "eof", pos: text.length });
+  return tokens;
+}
+
+function describe(tok) {
+  if (tok.type === "eof") return "end of query";
+  if (tok.type === "word" || tok.type === "phrase") return `'${tok.value}'`;
+  if (tok.type === "field") return `'${tok.value}:'`;
+  if (tok.type === "NEAR") return `'NEAR/${tok.k}'`;
+  return `'${tok.type === "required" ? "+" : tok.type === "excluded" ? "-" : tok.type}'`;
+}
+
+function parse(text, analyzer) {
+  const tokens = lex(text);
+  let at = 0;
+  const peek = () => tokens[at];
+  const next = () => tokens[at++];
+
+  const startsOperand = (t) =>
+    ["word", "phrase", "field", "(", "NOT", "required", "excluded"].includes(t.type);
+
+  const fail = (expected) => {
+    const t = peek();
+    throw new QuerySyntaxError(`Expected ${expected} but found ${describe(t)}.`, t.pos);
+  };
+
+  // url: matches raw text, so its leaves carry no analyzed tokens
+  function leaf(tok, field) {
+    return {
+      type: tok.type === "phrase" ? "phrase" : "term",
+      field,
+      raw: tok.value,
+      pos: tok.type === "phrase" ? tok.pos + 1 : tok.pos,
+      tokens: field === "url" ? [] : analyze(tok.value, analyzer),
+    };
+  }
+
+  // primary := field? (word | phrase | "(" orExpr ")") | word NEAR/k word
+  function primary(field = null) {
+    const t = peek();
+
+    if (t.type === "field") {
+      if (field) throw new QuerySyntaxError("Field prefixes cannot be nested.", t.pos);
+      next();
+      return primary(t.value);
+    }
+
+    if (t.type === "(") {
+      next();
+      if (peek().type === ")") throw new QuerySyntaxError("Empty parentheses.", peek().pos);
+      const inner = orExpr(field);
+      if (peek().type !== ")") fail("')'");
+      next();
+      return inner;
+    }
+
+    if (t.type === "word" || t.type === "phrase") {
+      next();
+      if (peek().type === "NEAR") {
+        const op = next();
+        const rhs = peek();
+        if (t.type !== "word" || rhs.type !== "word" || field) {
+          throw new QuerySyntaxError("NEAR/k joins two plain words, e.g. computer NEAR/3 science.", op.pos);
+        }
+        next();
+        const [a] = analyze(t.value, analyzer);
+        const [b] = analyze(rhs.value, analyzer);
+        return {
+          type: "near", a: a ?? null, b: b ?? null, k: Math.max(1, op.k),
+          raw: [t.value, rhs.value], pos: [t.pos, rhs.pos],
+        };
+      }
+      return leaf(t, field);
+    }
+
+    if (t.type === "NEAR") throw new QuerySyntaxError("NEAR/k needs a word on each side.", t.pos);
+    return fail("a term, phrase or '('");
+  }
+
+  // unary := NOT unary | primary
+  function unary(field) {
+    if (peek().type === "NOT") {
+      next();
+      if (!startsOperand(peek())) fail("a term after 'NOT'");
+      return { type: "not", child: unary(field) };
+    }
+    return primary(field);
+  }
+
+  // andExpr := unary (AND unary)*
+  function andExpr(field) {
+    const children = [unary(field)];
+    while (peek().type === "AND") {
+      next();
+      if (!startsOperand(peek()) || ["required", "excluded"].includes(peek().type)) fail("a term after 'AND'");
+      children.push(unary(field));
+    }
+    return children.length === 1 ? children[0] : { type: "and", children };
+  }
+
+  // orExpr := clause ((OR)? clause)*, clause := (+|-)? andExpr
+  function orExpr(field) {
+    const group = { type: "group", should: [], must: [], mustNot: [] };
+    for (;;) {
+      const t = peek();
+      if (t.type === "required" || t.type === "excluded") {
+        next();
+        if (!startsOperand(peek()) || ["required", "excluded", "NOT"].includes(peek().type)) {
+          fail(`a term after '${t.type === "required" ? "+" : "-"}'`);
+        }
+        (t.type === "required" ? group.must : group.mustNot).push(andExpr(field));
+      } else if (startsOperand(t)) {
+        const node = andExpr(field);
+        if (node.type === "not") group.mustNot.push(node.child);
+        else if (node.type === "term" && !node.field && node.tokens.length > 1) {
+          // "e-mail" as an optional clause behaves like "e mail"
+          for (const tok of node.tokens) group.should.push({ type: "term", field: null, raw: node.raw, pos: node.pos, tokens: [tok] });
+        } else group.should.push(node);
+      } else {
+        fail("a term, phrase or '('");
+      }
+
+      if (peek().type === "OR") {
+        next();
+        group.explicit = true;
+        if (!startsOperand(peek())) fail("a term after 'OR'");
+        continue;
+      }
+      if (startsOperand(peek())) continue;
+      break;
+    }
+    return group;
+  }
+
+  if (peek().type === "eof") return { type: "group", should: [], must: [], mustNot: [] };
+  const ast = orExpr(null);
+  if (peek().type !== "eof") {
+    if (peek().type === ")") throw new QuerySyntaxError("Unmatched ')'.", peek().pos);
+    fail("end of query");
+  }
+  return ast;
+}
+
+/**
+ * Parse a query string under a dataset's analyzer.
+ * Returns { ast } or { error: { message, position } }.
+ */
+function parseQuery(text, analyzer) {
+  try {
+    return { ast: parse(String(text), analyzer) };
+  } catch (e) {
+    if (e instanceof QuerySyntaxError) return { error: { message: e.message, position: e.position } };
+    throw e;
+  }
+}
+
+/**
+ * Terms that should count toward relevance: everything not under NOT/-, minus url: terms.
+ */
+function scoringTerms(node, out = []) {
+  switch (node.type) {
+    case "group":
+      for (const c of [...node.must, ...node.should]) scoringTerms(c, out);
+      break;
+    case "and":
+      for (const c of node.children) scoringTerms(c, out);
+      break;
+    case "term":
+    case "phrase":
+      out.push(...node.tokens);
+      break;
+    case "near":
+      if (node.a) out.push(node.a);
+      if (node.b) out.push(node.b);
+      break;
+    default:
+      break;
+  }
+  return out;
+}
+
+/**
+ * Leaves that add to relevance (not under NOT/-, not url:), for query rewriting.
+ */
+function positiveLeaves(node, out = []) {
+  switch (node.type) {
+    case "group":
+      for (const c of [...node.must, ...node.should]) positiveLeaves(c, out);
+      break;
+    case "and":
+      for (const c of node.children) positiveLeaves(c, out);
+      break;
+    case "term":
+    case "phrase":
+      if (node.field !== "url") out.push(node);
+      break;
+    case "near":
+      out.push(node);
+      break;
+    default:
+      break;
+  }
+  return out;
+}
+
+/**
+ * A plain list of words ranks every page (matching ones first) instead of filtering.
+ */
+function isBagOfWords(ast) {
+  return (
+    ast.type === "group" &&
+    !ast.explicit &&
+    !ast.must.length &&
+    !ast.mustNot.length &&
+    ast.should.every((n) => n.type === "term" && !n.field)
+  );
+}
+
+function fieldHas(page, field, token) {
+  return (page.fieldTf[field]?.[token] || 0) > 0;
+}
+
+/**
+ * Does a cached page (url, fieldTf, termPositions) satisfy the query?
+ * Clauses that analyzed to nothing (stop words) are neutral.
+ */
+function matches(node, page) {
+  switch (node.type) {
+    case "group": {
+      const active = (list) => list.filter((c) => !isEmpty(c));
+      const must = active(node.must);
+      const should = active(node.should);
+      if (active(node.mustNot).some((c) => matches(c, page))) return false;
+      if (!must.every((c) => matches(c, page))) return false;
+      if (must.length) return true;
+      return !should.length || should.some((c) => matches(c, page));
+    }
+    case "and":
+      return node.children.every((c) => isEmpty(c) || matches(c, page));
+    case "not":
+      return isEmpty(node.child) || !matches(node.child, page);
+    case "near":
+      return isNear(page.termPositions || {}, node.a, node.b, node.k);
+    case "term":
+    case "phrase": {
+      if (node.field === "url") return page.url.toLowerCase().includes(node.raw.toLowerCase());
+
+      if (node.type === "phrase" && (!node.field || node.field === "body")) {
+        return hasPhrase(page.termPositions || {}, node.tokens);
+      }
+      // no positions outside the body: a phrase there means all of its words
+      const fields = node.field ? [node.field] : TEXT_FIELDS;
+      return node.tokens.every((t) => fields.some((f) => fieldHas(page, f, t)));
+    }
+    default:
+      return true;
+  }
+}
+
+function isEmpty(node) {
+  if (node.type === "term" || node.type === "phrase") return node.field !== "url" && !node.tokens.length;
+  if (node.type === "near") return !node.a || !node.b;
+  if (node.type === "not") return isEmpty(node.child);
+  if (node.type === "and") return node.children.every(isEmpty);
+  return [...node.should, ...node.must, ...node.mustNot].every(isEmpty);
+}
+
+module.exports = { QUERY_FIELDS, parseQuery, scoringTerms, positiveLeaves, isBagOfWords, matches };
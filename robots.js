@@ -0,0 +1,169 @@
+const { URL } = require("url");
+
+/**
+ * Parse a robots.txt body into user-agent groups.
+ * Each group: { agents: string[], rules: Array<{ allow, path }>, crawlDelay: number|null }
+ */
+function parseRobots(text) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of String(text || "").split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, "").trim();
+    if (!line) continue;
+
+    const idx = line.indexOf(":");
+    if (idx === -1) continue;
+
+    const key = line.slice(0, idx).trim().toLowerCase();
+    const value = line.slice(idx + 1).trim();
+
+    if (key === "user-agent") {
+      // consecutive User-agent lines share one group
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+
+    if (key === "sitemap") {
+      if (value) sitemaps.push(value);
+      continue;
+    }
+
+    if (!current) continue;
+
+    if (key === "allow" || key === "disallow") {
+      // an empty Disallow means "allow everything"; it carries no rule
+      if (!value) continue;
+      current.rules.push({ allow: key === "allow", path: value });
+    } else if (key === "crawl-delay") {
+      const n = Number(value);
+      if (Number.isFinite(n) && n >= 0) current.crawlDelay = n;
+    }
+  }
+
+  return { groups, sitemaps };
+}
+
+/**
+ * Pick the group for our user agent: the most specific matching agent wins,
+ * falling back to "*". Returns { rules, crawlDelay }.
+ */
+function groupFor(parsed, userAgent) {
+  const ua = userAgent.toLowerCase();
+  let best = null;
+  let bestLen = -1;
+
+  for (const g of parsed.groups) {
+    for (const a of g.agents) {
+      if (a === "*") {
+        if (bestLen < 0) {
+          best = g;
+          bestLen = 0;
+        }
+      } else if (ua.includes(a) && a.length > bestLen) {
+        best = g;
+        bestLen = a.length;
+      }
+    }
+  }
+
+  return best
+    ? { rules: best.rules, crawlDelay: best.crawlDelay }
+    : { rules: [], crawlDelay: null };
+}
+
+function patternToRegExp(pattern) {
+  const anchored = pattern.endsWith("$");
+  const body = anchored ? pattern.slice(0, -1) : pattern;
+  const src = body
+    .split("*")
+    .map((s) => s.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${src}${anchored ? "$" : ""}`);
+}
+
+/**
+ * Longest matching rule decides; on a tie Allow wins. No match means allowed.
+ * Returns the deciding rule (or null) so callers can report why a URL was blocked.
+ */
+function matchRule(rules, pathAndQuery) {
+  let best = null;
+  for (const r of rules) {
+    if (!r.re) r.re = patternToRegExp(r.path);
+    if (!r.re.test(pathAndQuery)) continue;
+    if (
+      !best ||
+      r.path.length > best.path.length ||
+      (r.path.length === best.path.length && r.allow && !best.allow)
+    ) {
+      best = r;
+    }
+  }
+  return best;
+}
+
+/**
+ * Per-origin robots.txt cache. Follows RFC 9309 for unavailable files:
+ * 4xx means no restrictions, 5xx or a network failure means disallow everything.
+ */
+function createRobotsCache({ userAgent, robotsAgent, timeout = 10000 }) {
+  const byOrigin = new Map();
+
+  async function load(origin) {
+    const allowAll = { rules: [], crawlDelay: null, sitemaps: [] };
+    const denyAll = { rules: [{ allow: false, path: "/" }], crawlDelay: null, sitemaps: [] };
+
+    try {
+      const res = await fetch(`${origin}/robots.txt`, {
+        headers: { "User-Agent": userAgent },
+        redirect: "follow",
+        signal: AbortSignal.timeout(timeout),
+      });
+
+      if (res.status >= 400 && res.status < 500) return allowAll;
+      if (!res.ok) {
+        console.warn(`[robots] ${origin}/robots.txt returned ${res.status}; treating as disallow-all`);
+        return denyAll;
+      }
+
+      const parsed = parseRobots(await res.text());
+      return { ...groupFor(parsed, robotsAgent), sitemaps: parsed.sitemaps };
+    } catch (e) {
+      console.warn(`[robots] ${origin}/robots.txt unreachable (${e.message}); treating as disallow-all`);
+      return denyAll;
+    }
+  }
+
+  function get(origin) {
+    if (!byOrigin.has(origin)) byOrigin.set(origin, load(origin));
+    return byOrigin.get(origin);
+  }
+
+  /**
+   * Resolve to { allowed, reason, crawlDelay } for a URL.
+   */
+  async function check(urlStr) {
+    const u = new URL(urlStr);
+    const entry = await get(u.origin);
+    const rule = matchRule(entry.rules, u.pathname + u.search);
+    const allowed = !rule || rule.allow;
+    return {
+      allowed,
+      reason: allowed ? null : `robots.txt: Disallow ${rule.path}`,
+      crawlDelay: entry.crawlDelay,
+    };
+  }
+
+  return { get, check };
+}
+
+module.exports = { parseRobots, groupFor, matchRule, createRobotsCache };
@@ -0,0 +1,226 @@
+/**
+ * Relevance models for dataset search, chosen per request with ?scorer=.
+ *
+ * Every scorer reads the per-field postings and statistics built by warmDataset:
+ *   st.postings[field]: Map<term, { idx: number[], tf: number[], w: number[] }>
+ *     (page indexes, raw term counts, log2 tf-idf weights)
+ *   st.fieldIdf[field]: log2 IDF used by cosine
+ *   st.fieldStats[field]: { avgLen, totalLen }
+ *   st.pages[i].fieldLen[field]: field length in terms
+ *
+ * score(st, qf, qLen, weights, params) returns { candidates, base } where
+ * candidates are the page indexes sharing a term with the query and base[i] is
+ * the weighted mean of the per-field scores, or null if no query term is known.
+ */
+
+// Per-field score accumulation shared by the models: fieldScore(field) returns
+// Map-like arrays for that field; they are blended with the field weights.
+function blendFields(st, weights, fieldScore) {
+  const N = st.pages.length;
+  const weighted = new Float64Array(N);
+  const isCandidate = new Uint8Array(N);
+  const candidates = [];
+  let any = false;
+
+  for (const field of Object.keys(weights)) {
+    if (!(weights[field] > 0)) continue;
+    const part = fieldScore(field);
+    if (!part) continue;
+    any = true;
+
+    for (const d of part.touched) {
+      const v = part.value(d);
+      if (v > 0) weighted[d] += weights[field] * v;
+      if (!isCandidate[d]) {
+        isCandidate[d] = 1;
+        candidates.push(d);
+      }
+    }
+  }
+  if (!any) return null;
+
+  const totalWeight = Object.values(weights).reduce((a, w) => a + w, 0);
+  const base = new Float64Array(N);
+  for (const d of candidates) base[d] = totalWeight > 0 ? weighted[d] / totalWeight : 0;
+  return { candidates, base, isCandidate };
+}
+
+/**
+ * log2 tf-idf cosine (the original model). A page's norm is taken over the
+ * query terms only.
+ */
+function cosine(st, qf, qLen, weights) {
+  const N = st.pages.length;
+  const dot = new Float64Array(N);
+  const mag2 = new Float64Array(N);
+
+  return blendFields(st, weights, (field) => {
+    const idf = st.fieldIdf[field] || {};
+    const vocab = Object.keys(qf).filter((w) => (idf[w] || 0) > 0);
+    if (!vocab.length) return null;
+
+    const qVec = new Array(vocab.length);
+    let qMag2 = 0;
+    for (let i = 0; i < vocab.length; i++) {
+      const w = vocab[i];
+      const tfidf = Math.log2(1 + qf[w] / qLen) * idf[w];
+      qVec[i] = tfidf;
+      qMag2 += tfidf * tfidf;
+    }
+    const qMag = Math.sqrt(qMag2);
+
+    const postings = st.postings[field];
+    const touched = [];
+    for (let i = 0; i < vocab.length; i++) {
+      const list = postings.get(vocab[i]);
+      if (!list) continue;
+      for (let j = 0; j < list.idx.length; j++) {
+        const d = list.idx[j];
+        const w = list.w[j];
+        if (mag2[d] === 0) touched.push(d);
+        dot[d] += w * qVec[i];
+        mag2[d] += w * w;
+      }
+    }
+
+    return {
+      touched,
+      value: (d) => {
+        const pMag = Math.sqrt(mag2[d]);
+        const v = pMag > 0 && qMag > 0 ? dot[d] / (pMag * qMag) : 0;
+        dot[d] = 0;
+        mag2[d] = 0;
+        return v;
+      },
+    };
+  });
+}
+
+/**
+ * Okapi BM25 per field: idf = ln(1 + (N - df + 0.5) / (df + 0.5)).
+ */
+function bm25(st, qf, qLen, weights, { k1, b }) {
+  const N = st.pages.length;
+  const acc = new Float64Array(N);
+
+  return blendFields(st, weights, (field) => {
+    const postings = st.postings[field];
+    const { avgLen } = st.fieldStats[field];
+    const terms = Object.keys(qf).filter((w) => postings.has(w));
+    if (!terms.length || !(avgLen > 0)) return null;
+
+    const touched = [];
+    for (const w of terms) {
+      const list = postings.get(w);
+      const df = list.idx.length;
+      const idf = Math.log(1 + (N - df + 0.5) / (df + 0.5));
+      for (let j = 0; j < df; j++) {
+        const d = list.idx[j];
+        const tf = list.tf[j];
+        const len = st.pages[d].fieldLen[field];
+        if (acc[d] === 0) touched.push(d);
+        acc[d] += qf[w] * idf * ((tf * (k1 + 1)) / (tf + k1 * (1 - b + (b * len) / avgLen)));
+      }
+    }
+
+    return {
+      touched,
+      value: (d) => {
+        const v = acc[d];
+        acc[d] = 0;
+        return v;
+      },
+    };
+  });
+}
+
+/**
+ * Query likelihood with Jelinek-Mercer smoothing, in its rank-equivalent form
+ * sum over matched terms of qf * ln(1 + (1 - lambda) * P(t|d) / (lambda * P(t|C))),
+ * so pages without any query term score 0.
+ */
+function lm(st, qf, qLen, weights, { lambda }) {
+  const N = st.pages.length;
+  const acc = new Float64Array(N);
+
+  return blendFields(st, weights, (field) => {
+    const postings = st.postings[field];
+    const { totalLen } = st.fieldStats[field];
+    const terms = Object.keys(qf).filter((w) => postings.has(w));
+    if (!terms.length || !(totalLen > 0)) return null;
+
+    const touched = [];
+    for (const w of terms) {
+      const list = postings.get(w);
+      const pc = list.tf.reduce((a, x) => a + x, 0) / totalLen;
+      for (let j = 0; j < list.idx.length; j++) {
+        const d = list.idx[j];
+        const len = st.pages[d].fieldLen[field];
+        if (!(len > 0)) continue;
+        if (acc[d] === 0) touched.push(d);
+        acc[d] += qf[w] * Math.log(1 + ((1 - lambda) * (list.tf[j] / len)) / (lambda * pc));
+      }
+    }
+
+    return {
+      touched,
+      value: (d) => {
+        const v = acc[d];
+        acc[d] = 0;
+        return v;
+      },
+    };
+  });
+}
+
+/**
+ * name -> { score, params: { param: { default, min, max, exclusive? } } }
+ */
+const SCORERS = {
+  cosine: { score: cosine, params: {} },
+  bm25: {
+    score: bm25,
+    params: {
+      k1: { default: 1.2, min: 0, max: 10 },
+      b: { default: 0.75, min: 0, max: 1 },
+    },
+  },
+  lm: {
+    score: lm,
+    params: {
+      lambda: { default: 0.1, min: 0, max: 1, exclusive: true },
+    },
+  },
+};
+
+/**
+ * Read ?scorer= and its parameters from a request query.
+ * Returns { name, params, score } or { error }.
+ */
+function parseScorer(query) {
+  const name = typeof query.scorer === "string" && query.scorer.trim() ? query.scorer.trim().toLowerCase() : "cosine";
+  const scorer = Object.hasOwn(SCORERS, name) ? SCORERS[name] : null;
+  if (!scorer) {
+    return { error: `Unknown scorer '${name}'. Use one of: ${Object.keys(SCORERS).join(", ")}.` };
+  }
+
+  const params = {};
+  for (const [p, spec] of Object.entries(scorer.params)) {
+    const raw = query[p];
+    if (raw === undefined || raw === "") {
+      params[p] = spec.default;
+      continue;
+    }
+    const n = Number(raw);
+    const inRange = spec.exclusive ? n > spec.min && n < spec.max : n >= spec.min && n <= spec.max;
+    if (typeof raw !== "string" || !Number.isFinite(n) || !inRange) {
+      const range = spec.exclusive ? `(${spec.min}, ${spec.max})` : `[${spec.min}, ${spec.max}]`;
+      return { error: `Parameter '${p}' for scorer '${name}' must be a number in ${range}.` };
+    }
+    params[p] = n;
+  }
+
+  return { name, params, score: scorer.score };
+}
+
+module.exports = { SCORERS, parseScorer };
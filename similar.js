@@ -0,0 +1,105 @@
+/**
+ * "More like this": pages ranked by how close their body term vector is to a given page's.
+ *
+ * Vectors use the same log2 tf-idf weights as the cosine scorer (st.postings.body).
+ * The source page is reduced to its MAX_SOURCE_TERMS heaviest terms, so a long page
+ * costs about as much as a long query. With a link weight w > 0 the text similarity
+ * is mixed with link-graph proximity:
+ *   score = (1 - w) * cosine + w * proximity
+ * proximity is 1 for pages linked to or from the source, 0.5 for pages two links away.
+ */
+
+const MAX_SOURCE_TERMS = 25;
+const LINK_PROXIMITY = { 1: 1, 2: 0.5 };
+
+/**
+ * Length of every page's body vector, built with the snapshot.
+ */
+function buildDocNorms(postings, N) {
+  const norm2 = new Float64Array(N);
+  for (const list of postings.values()) {
+    for (let j = 0; j < list.idx.length; j++) norm2[list.idx[j]] += list.w[j] * list.w[j];
+  }
+  return norm2.map(Math.sqrt);
+}
+
+/**
+ * ?linkWeight= in [0, 1], default 0 (text only). Returns { value } or { error }.
+ */
+function parseLinkWeight(v) {
+  if (v === undefined || v === "") return { value: 0 };
+  const n = Number(v);
+  if (typeof v !== "string" || !Number.isFinite(n) || n < 0 || n > 1) {
+    return { error: "Parameter 'linkWeight' must be a number in [0, 1]." };
+  }
+  return { value: n };
+}
+
+/**
+ * Pages most similar to page `d`: [{ d, score, similarity, linkDistance }], best first.
+ * linkDistance: Map<url, 1 | 2> around the source page (may be empty).
+ * Pages in the source's near-duplicate cluster are left out, and each cluster
+ * contributes one page.
+ */
+function similarPages(st, d, { limit = 10, linkWeight = 0, linkDistance = new Map() } = {}) {
+  const pages = st.pages;
+  const postings = st.postings.body;
+  const source = pages[d];
+  const clusterKey = (i) => st.clusterOf.get(pages[i].url) || pages[i].url;
+
+  // the source page's heaviest terms and their weights
+  const idf = st.fieldIdf.body;
+  const wc = source.fieldLen.body || 0;
+  const terms = [];
+  for (const [w, tf] of Object.entries(source.fieldTf.body || {})) {
+    const list = postings.get(w);
+    const weight = wc > 0 ? Math.log2(1 + tf / wc) * (idf[w] || 0) : 0;
+    if (list && weight > 0) terms.push([list, weight]);
+  }
+  terms.sort((a, b) => b[1] - a[1]);
+  terms.length = Math.min(terms.length, MAX_SOURCE_TERMS);
+  const sourceNorm = Math.sqrt(terms.reduce((a, [, w]) => a + w * w, 0));
+
+  const dot = new Map();
+  for (const [list, wq] of terms) {
+    for (let j = 0; j < list.idx.length; j++) {
+      const i = list.idx[j];
+      if (i !== d) dot.set(i, (dot.get(i) || 0) + wq * list.w[j]);
+    }
+  }
+
+  const candidates = new Map(); // page index -> { similarity, linkDistance }
+  for (const [i, v] of dot) {
+    const norm = sourceNorm * st.docNorms[i];
+    candidates.set(i, { similarity: norm > 0 ? v / norm : 0, linkDistance: linkDistance.get(pages[i].url) ?? null });
+  }
+  if (linkWeight > 0 && linkDistance.size) {
+    for (const [url, dist] of linkDistance) {
+      const i = st.indexByUrl.get(url);
+      if (i !== undefined && i !== d && !candidates.has(i)) candidates.set(i, { similarity: 0, linkDistance: dist });
+    }
+  }
+
+  const own = clusterKey(d);
+  const scored = [];
+  for (const [i, c] of candidates) {
+    if (clusterKey(i) === own) continue;
+    const proximity = LINK_PROXIMITY[c.linkDistance] || 0;
+    const score = (1 - linkWeight) * c.similarity + linkWeight * proximity;
+    if (score > 0) scored.push({ d: i, score, ...c });
+  }
+  scored.sort((a, b) => b.score - a.score || pages[a.d].url.localeCompare(pages[b.d].url));
+
+  const seen = new Set();
+  const out = [];
+  for (const it of scored) {
+    const key = clusterKey(it.d);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    out.push(it);
+    if (out.length >= limit) break;
+  }
+  return out;
+}
+
+module.exports = { buildDocNorms, parseLinkWeight, similarPages };
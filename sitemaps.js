@@ -0,0 +1,144 @@
+/**
+ * Sitemap (sitemaps.org) and RSS/Atom parsing used to seed the crawl frontier.
+ * Regex-based on purpose: these files are flat and we only need <loc>/<link>
+ * and their dates, not a full XML parser.
+ */
+
+// Follow at most this many sitemap files per crawl (indexes can nest and be huge).
+const MAX_SITEMAP_FILES = 50;
+
+function decodeXml(s) {
+  return String(s)
+    .replace(/^<!\[CDATA\[([\s\S]*)\]\]>$/, "$1")
+    .replaceAll("&lt;", "<")
+    .replaceAll("&gt;", ">")
+    .replaceAll("&quot;", '"')
+    .replaceAll("&apos;", "'")
+    .replaceAll("&amp;", "&")
+    .trim();
+}
+
+function tagText(block, tag) {
+  const m = block.match(new RegExp(`<(?:[\\w-]+:)?${tag}\\b[^>]*>([\\s\\S]*?)</(?:[\\w-]+:)?${tag}>`, "i"));
+  return m ? decodeXml(m[1]) : null;
+}
+
+function blocks(xml, tag) {
+  return String(xml).match(new RegExp(`<(?:[\\w-]+:)?${tag}\\b[\\s\\S]*?</(?:[\\w-]+:)?${tag}>`, "gi")) || [];
+}
+
+function parseDate(s) {
+  if (!s) return null;
+  const d = new Date(s);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * Parse a sitemap or sitemap index.
+ * Returns { sitemaps: string[], urls: Array<{ loc, lastmod: Date|null }> }.
+ */
+function parseSitemap(xml) {
+  const sitemaps = blocks(xml, "sitemap")
+    .map((b) => tagText(b, "loc"))
+    .filter(Boolean);
+
+  const urls = blocks(xml, "url")
+    .map((b) => ({ loc: tagText(b, "loc"), lastmod: parseDate(tagText(b, "lastmod")) }))
+    .filter((e) => e.loc);
+
+  return { sitemaps, urls };
+}
+
+/**
+ * Parse an RSS 2.0 or Atom feed into Array<{ loc, lastmod: Date|null }>.
+ */
+function parseFeed(xml) {
+  const out = [];
+
+  for (const item of blocks(xml, "item")) {
+    const loc = tagText(item, "link");
+    if (loc) out.push({ loc, lastmod: parseDate(tagText(item, "pubDate") || tagText(item, "date")) });
+  }
+
+  for (const entry of blocks(xml, "entry")) {
+    const links = entry.match(/<link\b[^>]*>/gi) || [];
+    // prefer rel="alternate" (or no rel, which means alternate in Atom)
+    const link =
+      links.find((l) => !/\brel=/i.test(l) || /\brel=["']alternate["']/i.test(l)) || links[0];
+    const href = link && link.match(/\bhref=["']([^"']+)["']/i);
+    if (href) {
+      out.push({
+        loc: decodeXml(href[1]),
+        lastmod: parseDate(tagText(entry, "updated") || tagText(entry, "published")),
+      });
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Feed URLs advertised by a page through <link rel="alternate" type="application/(rss|atom)+xml">.
+ */
+function feedLinksFromCheerio($, baseUrl) {
+  const out = [];
+  $('link[rel="alternate"][href]').each((_, el) => {
+    const type = String($(el).attr("type") || "").toLowerCase();
+    if (!/application\/(rss|atom)\+xml/.test(type)) return;
+    try {
+      out.push(new URL($(el).attr("href"), baseUrl).toString());
+    } catch {
+      // ignore bad URLs
+    }
+  });
+  return [...new Set(out)];
+}
+
+async function fetchText(url, userAgent, timeout = 20000) {
+  const res = await fetch(url, {
+    headers: { "User-Agent": userAgent },
+    redirect: "follow",
+    signal: AbortSignal.timeout(timeout),
+  });
+  if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
+  return res.text();
+}
+
+/**
+ * Walk sitemap indexes starting from `roots` (robots.txt Sitemap: lines, or
+ * /sitemap.xml when there are none) and collect every page entry.
+ * fetchXml(url) resolves to a file's text (fetchText behind the crawl's rate limits).
+ */
+async function collectSitemapEntries(roots, fetchXml) {
+  const queue = [...roots];
+  const visited = new Set();
+  const entries = [];
+
+  while (queue.length && visited.size < MAX_SITEMAP_FILES) {
+    const sm = queue.shift();
+    if (visited.has(sm)) continue;
+    visited.add(sm);
+
+    let xml;
+    try {
+      xml = await fetchXml(sm);
+    } catch (e) {
+      console.warn(`[sitemap] skipping ${sm}: ${e.message}`);
+      continue;
+    }
+
+    const { sitemaps, urls } = parseSitemap(xml);
+    queue.push(...sitemaps);
+    entries.push(...urls);
+  }
+
+  return entries;
+}
+
+module.exports = {
+  parseSitemap,
+  parseFeed,
+  feedLinksFromCheerio,
+  fetchText,
+  collectSitemapEntries,
+};
@@ -0,0 +1,90 @@
+const { analyze, RAW_WORD_RE } = require("./analyzer");
+
+/**
+ * Query-biased snippets from a page's stored paragraphText.
+ *
+ * A snippet is { text, highlights: [[start, end], ...] }: plain text plus
+ * character ranges of matched terms. Clients escape the text themselves and
+ * wrap the ranges, so page content never reaches the DOM as markup.
+ */
+
+const SNIPPET_WORDS = 28;
+const LEAD_WORDS = 6;
+const ELLIPSIS = "… ";
+
+/**
+ * Up to `count` non-overlapping windows of the text that contain the most query terms.
+ * With no matches the opening words are returned, unhighlighted.
+ */
+function makeSnippets(text, terms, analyzer, { count = 2, words = SNIPPET_WORDS } = {}) {
+  const src = String(text || "");
+  if (!src.trim() || count < 1) return [];
+
+  const wanted = new Set(terms);
+  const cache = new Map();
+  const tokens = [];
+  for (const m of src.matchAll(RAW_WORD_RE)) {
+    const raw = m[0];
+    if (!cache.has(raw)) cache.set(raw, analyze(raw, analyzer).some((t) => wanted.has(t)));
+    tokens.push({ start: m.index, end: m.index + raw.length, hit: cache.get(raw), term: raw.toLowerCase() });
+  }
+  if (!tokens.length) return [];
+
+  const width = Math.min(words, tokens.length);
+
+  // Window score: distinct matched words dominate, repeats break ties.
+  const scoreAt = (from) => {
+    const seen = new Set();
+    let hits = 0;
+    for (let i = from; i < from + width; i++) {
+      if (!tokens[i].hit) continue;
+      hits++;
+      seen.add(tokens[i].term);
+    }
+    return seen.size * width + hits;
+  };
+
+  // one candidate window per matched word, starting a few words before it
+  const windows = [];
+  const starts = new Set();
+  tokens.forEach((t, i) => {
+    if (!t.hit) return;
+    const from = Math.min(Math.max(i - LEAD_WORDS, 0), tokens.length - width);
+    if (starts.has(from)) return;
+    starts.add(from);
+    windows.push({ from, score: scoreAt(from) });
+  });
+  windows.sort((a, b) => b.score - a.score || a.from - b.from);
+
+  const picked = [];
+  for (const w of windows) {
+    if (picked.length >= count) break;
+    if (picked.some((p) => Math.abs(p.from - w.from) < width)) continue;
+    picked.push(w);
+  }
+  if (!picked.length) picked.push({ from: 0 });
+  picked.sort((a, b) => a.from - b.from);
+
+  return picked.map(({ from }) => {
+    const first = tokens[from];
+    const last = tokens[from + width - 1];
+    const lead = from > 0 ? ELLIPSIS : "";
+    const body = src.slice(first.start, last.end).replace(/\s+/g, " ");
+
+    // whitespace collapsing shifts offsets, so locate hits against the collapsed body
+    const highlights = [];
+    let cursor = 0;
+    for (let i = from; i < from + width; i++) {
+      const raw = src.slice(tokens[i].start, tokens[i].end);
+      const at = body.indexOf(raw, cursor);
+      if (at === -1) continue;
+      cursor = at + raw.length;
+      if (tokens[i].hit) highlights.push([lead.length + at, lead.length + cursor]);
+    }
+
+    const tail = from + width < tokens.length ? ` ${ELLIPSIS.trim()}` : "";
+    return { text: lead + body + tail, highlights };
+  });
+}
+
+module.exports = { makeSnippets };
@@ -0,0 +1,112 @@
+const { analyze, RAW_WORD_RE } = require("./analyzer");
+const { positiveLeaves } = require("./query");
+
+/**
+ * "Did you mean" corrections for query words that are not in a dataset's vocabulary.
+ *
+ * A candidate is any indexed term within MAX_DISTANCE edits (insert, delete,
+ * substitute, swap adjacent letters). Candidates are ranked by
+ *   ln(1 + df) - DISTANCE_PENALTY * distance
+ * so a one-letter fix wins unless a farther term is far more common.
+ */
+
+const MAX_DISTANCE = 2;
+const DISTANCE_PENALTY = 3;
+
+/**
+ * df: Map<term, number of pages containing it>. Terms are bucketed by length so a
+ * lookup only compares against terms that could be within MAX_DISTANCE.
+ */
+function buildSpellIndex(df) {
+  const byLength = new Map();
+  for (const term of df.keys()) {
+    const n = [...term].length;
+    if (!byLength.has(n)) byLength.set(n, []);
+    byLength.get(n).push(term);
+  }
+  return { df, byLength };
+}
+
+// Optimal string alignment distance, giving up once it exceeds `max`.
+function editDistance(a, b, max) {
+  const s = [...a];
+  const t = [...b];
+  if (Math.abs(s.length - t.length) > max) return max + 1;
+
+  let prev2 = null;
+  let prev = Array.from({ length: t.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= s.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= t.length; j++) {
+      const cost = s[i - 1] === t[j - 1] ? 0 : 1;
+      let v = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (prev2 && i > 1 && j > 1 && s[i - 1] === t[j - 2] && s[i - 2] === t[j - 1]) {
+        v = Math.min(v, prev2[j - 2] + 1);
+      }
+      cur.push(v);
+      if (v < rowMin) rowMin = v;
+    }
+    if (rowMin > max) return max + 1;
+    prev2 = prev;
+    prev = cur;
+  }
+  return prev[t.length];
+}
+
+/**
+ * Best replacement for an unknown term, or null. Short words only get one edit.
+ */
+function correctTerm(term, index) {
+  const len = [...term].length;
+  const max = len <= 4 ? 1 : MAX_DISTANCE;
+
+  let best = null;
+  for (let n = len - max; n <= len + max; n++) {
+    for (const cand of index.byLength.get(n) || []) {
+      const d = editDistance(term, cand, max);
+      if (d > max) continue;
+      const score = Math.log(1 + index.df.get(cand)) - DISTANCE_PENALTY * d;
+      if (!best || score > best.score || (score === best.score && cand < best.term)) {
+        best = { term: cand, distance: d, score };
+      }
+    }
+  }
+  return best && { term: best.term, distance: best.distance };
+}
+
+/**
+ * Rewrite `text` with unknown words corrected, keeping operators, fields and quotes.
+ * Returns { suggestion, corrections: [{ from, to, distance }] } or null if nothing changed.
+ */
+function suggestQuery(text, ast, analyzer, index) {
+  // [offset, raw word] of every word that counts toward relevance
+  const words = new Map();
+  for (const leaf of positiveLeaves(ast)) {
+    const spans = leaf.type === "near" ? leaf.raw.map((raw, i) => [raw, leaf.pos[i]]) : [[leaf.raw, leaf.pos]];
+    for (const [raw, pos] of spans) {
+      for (const m of raw.matchAll(RAW_WORD_RE)) words.set(pos + m.index, m[0]);
+    }
+  }
+
+  const corrections = [];
+  const edits = [];
+  for (const [at, raw] of [...words.entries()].sort((a, b) => a[0] - b[0])) {
+    const tokens = analyze(raw, analyzer);
+    // numbers (course codes, years) are left alone
+    if (tokens.length !== 1 || index.df.has(tokens[0]) || /\p{N}/u.test(tokens[0])) continue;
+    const fix = correctTerm(tokens[0], index);
+    if (!fix) continue;
+    corrections.push({ from: raw, to: fix.term, distance: fix.distance });
+    edits.push([at, raw.length, fix.term]);
+  }
+  if (!edits.length) return null;
+
+  let suggestion = text;
+  for (const [at, length, to] of edits.reverse()) {
+    suggestion = suggestion.slice(0, at) + to + suggestion.slice(at + length);
+  }
+  return { suggestion, corrections };
+}
+
+module.exports = { buildSpellIndex, correctTerm, suggestQuery };